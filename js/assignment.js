@@ -0,0 +1,119 @@
+/**
+ * CODEFARM Assignment
+ * Minimum-cost matching between two sets (the Hungarian algorithm), used to
+ * pair up hero logo points between formations without their paths crossing
+ * No DOM access - loads as a browser script or as a Node module
+ */
+
+/**
+ * Optimal assignment for a rows x cols cost matrix (an array of rows)
+ * Every row gets a column when rows <= cols, otherwise every column gets a row
+ * Returns the column assigned to each row, or -1
+ */
+function solveAssignment(cost) {
+    const rows = cost.length;
+    const cols = rows ? cost[0].length : 0;
+
+    // The solver below wants at least as many columns as rows
+    if (rows > cols) {
+        const transposed = Array.from({ length: cols }, (_, j) => cost.map(row => row[j]));
+        const result = new Array(rows).fill(-1);
+        solveAssignment(transposed).forEach((row, col) => {
+            if (row !== -1) result[row] = col;
+        });
+        return result;
+    }
+
+    // Shortest augmenting paths with row / column potentials, O(rows² cols)
+    // Indices are 1-based; column 0 is a virtual start
+    const u = new Float64Array(rows + 1);
+    const v = new Float64Array(cols + 1);
+    const owner = new Int32Array(cols + 1); // Row assigned to each column, 0 for none
+    const way = new Int32Array(cols + 1);
+
+    for (let i = 1; i <= rows; i++) {
+        const minimum = new Float64Array(cols + 1).fill(Infinity);
+        const used = new Uint8Array(cols + 1);
+        let j0 = 0;
+        owner[0] = i;
+
+        do {
+            used[j0] = 1;
+            const i0 = owner[j0];
+            let delta = Infinity;
+            let j1 = 0;
+
+            for (let j = 1; j <= cols; j++) {
+                if (used[j]) continue;
+
+                const reduced = cost[i0 - 1][j - 1] - u[i0] - v[j];
+                if (reduced < minimum[j]) {
+                    minimum[j] = reduced;
+                    way[j] = j0;
+                }
+                if (minimum[j] < delta) {
+                    delta = minimum[j];
+                    j1 = j;
+                }
+            }
+
+            for (let j = 0; j <= cols; j++) {
+                if (used[j]) {
+                    u[owner[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minimum[j] -= delta;
+                }
+            }
+            j0 = j1;
+        } while (owner[j0] !== 0);
+
+        // Flip the path just found
+        do {
+            const j1 = way[j0];
+            owner[j0] = owner[j1];
+            j0 = j1;
+        } while (j0 !== 0);
+    }
+
+    const result = new Array(rows).fill(-1);
+    for (let j = 1; j <= cols; j++) {
+        if (owner[j]) result[owner[j] - 1] = j - 1;
+    }
+    return result;
+}
+
+/**
+ * Pair points in `from` with points in `to`, minimising the total distance
+ * Pairs further apart than maxDistance are left out
+ * Returns { pairs: [[fromIndex, toIndex]], unmatchedFrom, unmatchedTo }
+ */
+function matchPointSets(from, to, maxDistance = Infinity) {
+    // Capped, so far pairs (dropped anyway) do not pull near ones apart
+    const cost = from.map(a => to.map(b => Math.min(Math.hypot(a.x - b.x, a.y - b.y), maxDistance)));
+    const assigned = solveAssignment(cost);
+    const pairs = [];
+    const matchedTo = new Set();
+
+    assigned.forEach((j, i) => {
+        if (j !== -1 && Math.hypot(from[i].x - to[j].x, from[i].y - to[j].y) < maxDistance) {
+            pairs.push([i, j]);
+            matchedTo.add(j);
+        }
+    });
+
+    const matchedFrom = new Set(pairs.map(([i]) => i));
+    return {
+        pairs,
+        unmatchedFrom: from.map((_, i) => i).filter(i => !matchedFrom.has(i)),
+        unmatchedTo: to.map((_, j) => j).filter(j => !matchedTo.has(j))
+    };
+}
+
+// Export for use (self is the window on the page and the global scope in a worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { solveAssignment, matchPointSets };
+} else {
+    self.solveAssignment = solveAssignment;
+    self.matchPointSets = matchPointSets;
+}
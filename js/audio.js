@@ -0,0 +1,386 @@
+/**
+ * CODEFARM Audio
+ * Sound for the hero logo to react to: an AnalyserNode fed by the
+ * microphone, an audio file or any other AudioNode (e.g. an OscillatorNode),
+ * boiled down each frame to bass / mid / treble levels and onsets
+ * And sound made by the site: a short synthesized tone for every piece of a
+ * navigation reveal (RevealSonifier)
+ * bandLevels, OnsetDetector and pieceTone have no browser dependencies and
+ * also load as a Node module
+ */
+
+// Frequency range of each band in Hz
+const AUDIO_BANDS = {
+    bass: [20, 250],
+    mid: [250, 2000],
+    treble: [2000, 12000]
+};
+
+/**
+ * Mean level (0-1) of each band in byte frequency data from an AnalyserNode
+ * bin i covers frequencies around i * sampleRate / fftSize
+ */
+function bandLevels(spectrum, sampleRate, fftSize) {
+    const binWidth = sampleRate / fftSize;
+    const levels = {};
+
+    Object.entries(AUDIO_BANDS).forEach(([band, [low, high]]) => {
+        const first = Math.max(1, Math.floor(low / binWidth));
+        const last = Math.min(spectrum.length - 1, Math.ceil(high / binWidth));
+        let sum = 0;
+
+        for (let i = first; i <= last; i++) {
+            sum += spectrum[i];
+        }
+        levels[band] = last >= first ? sum / (last - first + 1) / 255 : 0;
+    });
+
+    return levels;
+}
+
+/**
+ * Spots sudden rises in energy (beats, plucks, claps) against a running
+ * average; after an onset it waits `cooldown` ms before reporting another
+ */
+class OnsetDetector {
+    constructor(options = {}) {
+        this.threshold = options.threshold || 1.5; // Energy over the average that counts
+        this.floor = options.floor || 0.08; // Quieter than this is never an onset
+        this.cooldown = options.cooldown || 250;
+        this.smoothing = options.smoothing || 0.9; // Weight of the average against each frame
+        this.average = null;
+        this.lastOnset = -Infinity;
+    }
+
+    /**
+     * Feed one frame's energy (0-1) at `time` ms; true when it is an onset
+     */
+    detect(energy, time) {
+        // The first frame only sets the average
+        if (this.average === null) {
+            this.average = energy;
+            return false;
+        }
+
+        const onset = energy > this.floor &&
+            energy > this.average * this.threshold &&
+            time - this.lastOnset >= this.cooldown;
+
+        this.average = this.average * this.smoothing + energy * (1 - this.smoothing);
+        if (onset) this.lastOnset = time;
+        return onset;
+    }
+
+    reset() {
+        this.average = null;
+        this.lastOnset = -Infinity;
+    }
+}
+
+/**
+ * Web Audio input for HeroLogoAnimation.setAudio: pick a source with
+ * useMicrophone(), useFile(), useOscillator() or useNode(), then sample()
+ * once per frame
+ * options - { context (an existing AudioContext), fftSize, smoothing, onset (OnsetDetector options) }
+ */
+class AudioReactor {
+    constructor(options = {}) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!options.context && !AudioContextClass) {
+            throw new Error('Audio-reactive mode needs the Web Audio API');
+        }
+
+        this.ownsContext = !options.context;
+        this.context = options.context || new AudioContextClass();
+        this.analyser = this.context.createAnalyser();
+        this.analyser.fftSize = options.fftSize || 1024;
+        this.analyser.smoothingTimeConstant = options.smoothing ?? 0.6;
+        this.spectrum = new Uint8Array(this.analyser.frequencyBinCount);
+        this.onsets = new OnsetDetector(options.onset);
+
+        this.source = null; // AudioNode feeding the analyser
+        this.stream = null; // Microphone stream, stopped with the reactor
+        this.nodes = []; // Nodes made here, stopped and disconnected with the reactor
+    }
+
+    /**
+     * Analyse any AudioNode; it is not connected to the speakers
+     */
+    useNode(node) {
+        this.disconnect();
+        this.source = node;
+        node.connect(this.analyser);
+        this.onsets.reset();
+
+        // Contexts made outside a click start suspended
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+        return this;
+    }
+
+    /**
+     * Listen to the microphone; resolves once access is granted, rejects
+     * where there is no microphone API (e.g. pages not served over HTTPS)
+     */
+    useMicrophone() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            return Promise.reject(new Error('Microphone input needs a secure (HTTPS) page'));
+        }
+
+        return navigator.mediaDevices.getUserMedia({ audio: true }).then((stream) => {
+            this.useNode(this.context.createMediaStreamSource(stream));
+            this.stream = stream;
+            return this;
+        });
+    }
+
+    /**
+     * Play an audio file (a File or Blob) on a loop and react to it
+     */
+    useFile(file) {
+        return file.arrayBuffer()
+            .then(data => this.context.decodeAudioData(data))
+            .then((buffer) => {
+                const player = this.context.createBufferSource();
+                player.buffer = buffer;
+                player.loop = true;
+                player.connect(this.context.destination);
+
+                this.useNode(player);
+                this.nodes.push(player);
+                player.start();
+                return this;
+            });
+    }
+
+    /**
+     * A test tone that needs no input: an OscillatorNode gated on and off
+     * `beatsPerSecond` times a second, so it also has onsets; silent unless
+     * `audible` is set
+     */
+    useOscillator(options = {}) {
+        const { frequency = 110, type = 'sawtooth', beatsPerSecond = 2, audible = false } = options;
+        const oscillator = this.context.createOscillator();
+        const gate = this.context.createGain();
+        const pulse = this.context.createOscillator();
+        const depth = this.context.createGain();
+
+        oscillator.type = type;
+        oscillator.frequency.value = frequency;
+
+        // A square wave from -0.5 to 0.5 around 0.5 opens and closes the gate
+        pulse.type = 'square';
+        pulse.frequency.value = beatsPerSecond;
+        depth.gain.value = 0.5;
+        gate.gain.value = 0.5;
+        pulse.connect(depth);
+        depth.connect(gate.gain);
+
+        oscillator.connect(gate);
+        if (audible) gate.connect(this.context.destination);
+
+        this.useNode(gate);
+        this.nodes.push(oscillator, pulse, depth);
+        oscillator.start();
+        pulse.start();
+        return this;
+    }
+
+    /**
+     * Levels of the current frame: { bass, mid, treble } (0-1) and onset
+     * (true on a sudden rise); `time` in ms paces the onset cooldown
+     */
+    sample(time = performance.now()) {
+        this.analyser.getByteFrequencyData(this.spectrum);
+
+        const levels = bandLevels(this.spectrum, this.context.sampleRate, this.analyser.fftSize);
+        const energy = (levels.bass * 2 + levels.mid + levels.treble) / 4;
+        return { ...levels, onset: this.onsets.detect(energy, time) };
+    }
+
+    disconnect() {
+        this.nodes.forEach((node) => {
+            if (node.stop) node.stop();
+            node.disconnect();
+        });
+        this.nodes = [];
+
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    /**
+     * Stop listening and release the microphone and the audio context
+     */
+    stop() {
+        this.disconnect();
+        if (this.ownsContext && this.context.state !== 'closed') {
+            this.context.close();
+        }
+    }
+}
+
+// Reveal tones are picked from a major pentatonic scale, in semitones above
+// the lowest note, so overlapping tones never clash
+const PENTATONIC = [0, 2, 4, 7, 9];
+
+/**
+ * The tone for a reveal piece ({ x, y, area, width, height } from a
+ * 'piece:start' event)
+ * Pitch rises from left to right (and a little towards the top) over three
+ * octaves from `base` Hz; bigger pieces sound darker and ring longer
+ * Returns { frequency, type, cutoff, decay (seconds) }
+ */
+function pieceTone({ x, y, area, width, height }, base = 220) {
+    const position = Math.min(1, Math.max(0, 0.75 * (x / width) + 0.25 * (1 - y / height)));
+    const step = Math.min(PENTATONIC.length * 3 - 1, Math.floor(position * PENTATONIC.length * 3));
+    const semitones = Math.floor(step / PENTATONIC.length) * 12 + PENTATONIC[step % PENTATONIC.length];
+
+    // 0 for a sliver, 1 for a piece covering a twentieth of the screen or more
+    const size = Math.min(1, Math.sqrt(area / (width * height) * 20));
+
+    return {
+        frequency: base * Math.pow(2, semitones / 12),
+        type: size > 0.5 ? 'sawtooth' : 'triangle',
+        cutoff: 600 + (1 - size) * 4000,
+        decay: 0.12 + size * 0.6
+    };
+}
+
+/**
+ * Plays pieceTone() for every piece of a navigation reveal through a master
+ * volume; the volume and mute setting are saved
+ * The audio context is made on the first wake() (call it from a click) so
+ * the browser lets it play
+ */
+class RevealSonifier {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'codefarm-sound';
+        this.maxVoices = options.maxVoices || 12; // Further tones are skipped while this many ring
+        this.context = null;
+        this.master = null;
+        this.voices = 0;
+
+        // Off until the visitor turns it on
+        const saved = this.loadPreference();
+        this.muted = saved.muted;
+        this.volume = saved.volume;
+    }
+
+    loadPreference() {
+        try {
+            const saved = JSON.parse(window.localStorage.getItem(this.storageKey));
+            if (saved && typeof saved.muted === 'boolean' && saved.volume >= 0 && saved.volume <= 1) {
+                return saved;
+            }
+        } catch (e) {
+            // Storage unavailable or the value is damaged
+        }
+        return { muted: true, volume: 0.5 };
+    }
+
+    savePreference() {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify({ muted: this.muted, volume: this.volume }));
+        } catch (e) {
+            // Still applies for this visit
+        }
+    }
+
+    /**
+     * Make or resume the audio context; call from a user gesture
+     */
+    wake() {
+        if (this.muted) return;
+
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+
+            this.context = new AudioContextClass();
+            this.master = this.context.createGain();
+            this.master.gain.value = this.volume;
+            this.master.connect(this.context.destination);
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    /**
+     * Master volume, 0-1
+     */
+    setVolume(volume) {
+        this.volume = Math.min(1, Math.max(0, volume));
+        if (this.master) {
+            this.master.gain.setTargetAtTime(this.volume, this.context.currentTime, 0.02);
+        }
+        this.savePreference();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        if (muted && this.context) {
+            this.context.suspend();
+        }
+        if (!muted) {
+            this.wake();
+        }
+        this.savePreference();
+    }
+
+    /**
+     * One short tone for a 'piece:start' event
+     */
+    play(piece) {
+        if (this.muted || !this.context || this.context.state !== 'running') return;
+        if (this.voices >= this.maxVoices) return;
+
+        const { frequency, type, cutoff, decay } = pieceTone(piece);
+        const now = this.context.currentTime;
+        const oscillator = this.context.createOscillator();
+        const filter = this.context.createBiquadFilter();
+        const envelope = this.context.createGain();
+
+        oscillator.type = type;
+        oscillator.frequency.value = frequency;
+        filter.type = 'lowpass';
+        filter.frequency.value = cutoff;
+
+        // Quick attack, exponential ring-out; quiet, since many tones overlap
+        envelope.gain.setValueAtTime(0.0001, now);
+        envelope.gain.exponentialRampToValueAtTime(0.12, now + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, now + decay);
+
+        oscillator.connect(filter);
+        filter.connect(envelope);
+        envelope.connect(this.master);
+
+        this.voices++;
+        oscillator.onended = () => {
+            this.voices--;
+            envelope.disconnect();
+        };
+        oscillator.start(now);
+        oscillator.stop(now + decay + 0.05);
+    }
+}
+
+// Export for use (self is the window on the page and the global scope in a worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AUDIO_BANDS, bandLevels, OnsetDetector, AudioReactor, pieceTone, RevealSonifier };
+} else {
+    self.AUDIO_BANDS = AUDIO_BANDS;
+    self.bandLevels = bandLevels;
+    self.OnsetDetector = OnsetDetector;
+    self.AudioReactor = AudioReactor;
+    self.pieceTone = pieceTone;
+    self.RevealSonifier = RevealSonifier;
+}
@@ -0,0 +1,89 @@
+/**
+ * CODEFARM Clock
+ * Injectable time source and scheduler for the canvas engines
+ * The browser clock is the default; ManualClock steps animations frame by frame
+ */
+
+// Real browser timing
+const browserClock = {
+    now: () => performance.now(),
+    requestFrame: callback => requestAnimationFrame(callback),
+    cancelFrame: id => cancelAnimationFrame(id),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: id => clearTimeout(id)
+};
+
+/**
+ * Virtual clock that only moves when told to
+ * Useful for tests and for stepping a seeded formation frame by frame
+ */
+class ManualClock {
+    constructor(startTime = 0) {
+        this.time = startTime;
+        this.nextId = 1;
+        this.frames = new Map();
+        this.timers = new Map();
+    }
+
+    now() {
+        return this.time;
+    }
+
+    requestFrame(callback) {
+        const id = this.nextId++;
+        this.frames.set(id, callback);
+        return id;
+    }
+
+    cancelFrame(id) {
+        this.frames.delete(id);
+    }
+
+    setTimeout(callback, delay = 0) {
+        const id = this.nextId++;
+        this.timers.set(id, { callback, time: this.time + delay });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Advance time by `ms`, firing due timers and then one animation frame
+     */
+    tick(ms = 1000 / 60) {
+        this.time += ms;
+
+        const due = [...this.timers.entries()]
+            .filter(([, timer]) => timer.time <= this.time)
+            .sort((a, b) => a[1].time - b[1].time);
+
+        due.forEach(([id, timer]) => {
+            this.timers.delete(id);
+            timer.callback();
+        });
+
+        const frames = [...this.frames.values()];
+        this.frames.clear();
+        frames.forEach(callback => callback(this.time));
+    }
+
+    /**
+     * Advance time in frame-sized steps
+     */
+    advance(ms, frameTime = 1000 / 60) {
+        const end = this.time + ms;
+        while (this.time < end) {
+            this.tick(Math.min(frameTime, end - this.time));
+        }
+    }
+}
+
+// Export for use (self is the window on the page and the global scope in a worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { browserClock, ManualClock };
+} else {
+    self.browserClock = browserClock;
+    self.ManualClock = ManualClock;
+}
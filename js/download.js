@@ -0,0 +1,21 @@
+/**
+ * CODEFARM Download
+ * Save generated files (SVG, plotter and fabrication formats, images) from the browser
+ */
+
+function downloadFile(content, filename, type = 'application/octet-stream') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+window.downloadFile = downloadFile;
@@ -0,0 +1,272 @@
+/**
+ * CODEFARM Fabricate
+ * DXF (laser cutters) and STL (3D printers) output for triangulated meshes
+ * No DOM access - loads as a browser script or as a Node module
+ *
+ * Triangles are arrays of three { x, y } points in canvas pixels. Output is
+ * scaled so the longest side of the canvas becomes `size` millimetres, with
+ * y flipped to point up.
+ */
+
+// How meshToFacets turns triangles into solids
+const STL_MODES = ['plate', 'relief'];
+
+/**
+ * Map canvas pixels to millimetres, y up
+ */
+function fabricationTransform(options = {}) {
+    const { width, height, size = 200 } = options;
+    const scale = size / Math.max(width, height);
+
+    return p => ({ x: p.x * scale, y: (height - p.y) * scale });
+}
+
+/**
+ * Offset a triangle outline by `distance` (outward when positive) by scaling
+ * it about its incentre. Returns null when an inset would collapse it.
+ */
+function offsetTriangle(points, distance) {
+    const [a, b, c] = points;
+    const la = Math.hypot(b.x - c.x, b.y - c.y);
+    const lb = Math.hypot(c.x - a.x, c.y - a.y);
+    const lc = Math.hypot(a.x - b.x, a.y - b.y);
+    const perimeter = la + lb + lc;
+    const area = Math.abs((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2;
+
+    if (perimeter === 0 || area === 0) return null;
+
+    const inradius = (2 * area) / perimeter;
+    const factor = (inradius + distance) / inradius;
+    if (factor <= 0) return null;
+
+    const incentre = {
+        x: (la * a.x + lb * b.x + lc * c.x) / perimeter,
+        y: (la * a.y + lb * b.y + lc * c.y) / perimeter
+    };
+
+    return points.map(p => ({
+        x: incentre.x + (p.x - incentre.x) * factor,
+        y: incentre.y + (p.y - incentre.y) * factor
+    }));
+}
+
+/**
+ * Write triangles as an ASCII DXF (R12) drawing
+ * Unique edges go on layer EDGES; with options.kerf each triangle also gets
+ * a closed outline offset outward by kerf / 2 on layer KERF, so pieces cut
+ * along it come out at their true size
+ * options - { width, height, size, kerf, precision }
+ */
+function meshToDXF(triangles, options = {}) {
+    const { kerf = 0, precision = 3 } = options;
+    const toMM = fabricationTransform(options);
+    const num = n => n.toFixed(precision);
+    const out = [];
+    const pair = (code, value) => out.push(String(code), String(value));
+
+    const line = (layer, p1, p2) => {
+        pair(0, 'LINE');
+        pair(8, layer);
+        pair(10, num(p1.x));
+        pair(20, num(p1.y));
+        pair(30, '0.0');
+        pair(11, num(p2.x));
+        pair(21, num(p2.y));
+        pair(31, '0.0');
+    };
+
+    // Minimal header and layer table
+    pair(0, 'SECTION');
+    pair(2, 'HEADER');
+    pair(9, '$ACADVER');
+    pair(1, 'AC1009');
+    pair(0, 'ENDSEC');
+    pair(0, 'SECTION');
+    pair(2, 'TABLES');
+    pair(0, 'TABLE');
+    pair(2, 'LAYER');
+    pair(70, 2);
+    [['EDGES', 7], ['KERF', 1]].forEach(([name, color]) => {
+        pair(0, 'LAYER');
+        pair(2, name);
+        pair(70, 0);
+        pair(62, color);
+        pair(6, 'CONTINUOUS');
+    });
+    pair(0, 'ENDTAB');
+    pair(0, 'ENDSEC');
+
+    pair(0, 'SECTION');
+    pair(2, 'ENTITIES');
+
+    // Shared edges are written once
+    const seen = new Set();
+    const key = p => `${p.x.toFixed(2)},${p.y.toFixed(2)}`;
+    triangles.forEach(points => {
+        for (let i = 0; i < 3; i++) {
+            const p1 = points[i];
+            const p2 = points[(i + 1) % 3];
+            const a = key(p1);
+            const b = key(p2);
+            const id = a < b ? `${a}|${b}` : `${b}|${a}`;
+            if (a === b || seen.has(id)) continue;
+
+            seen.add(id);
+            line('EDGES', toMM(p1), toMM(p2));
+        }
+    });
+
+    if (kerf > 0) {
+        triangles.forEach(points => {
+            const corners = points.map(toMM);
+            const outline = offsetTriangle(corners, kerf / 2);
+            if (!outline) return;
+
+            for (let i = 0; i < 3; i++) {
+                line('KERF', outline[i], outline[(i + 1) % 3]);
+            }
+        });
+    }
+
+    pair(0, 'ENDSEC');
+    pair(0, 'EOF');
+    return out.join('\n') + '\n';
+}
+
+/**
+ * Build STL facets for the mesh
+ * mode 'plate'  - every triangle becomes a flat plate `thickness` mm thick,
+ *                 shrunk by `gap` mm so neighbouring plates print apart
+ * mode 'relief' - every triangle becomes a prism whose top follows a height
+ *                 map, giving one continuous relief surface
+ * heightAt(x, y) takes canvas pixels and returns 0..1 (default: a dome
+ * peaking at the canvas centre)
+ */
+function meshToFacets(triangles, options = {}) {
+    const {
+        width,
+        height,
+        mode = 'plate',
+        thickness = 2,
+        gap = 0,
+        base = 2,
+        relief = 10,
+        heightAt = (x, y) => {
+            const dx = x / width - 0.5;
+            const dy = y / height - 0.5;
+            return Math.max(0, 1 - Math.hypot(dx, dy) * 2);
+        }
+    } = options;
+
+    if (!STL_MODES.includes(mode)) {
+        throw new Error(`Invalid mode "${mode}" - expected one of ${STL_MODES.join(', ')}`);
+    }
+
+    const toMM = fabricationTransform(options);
+    const facets = [];
+
+    triangles.forEach(points => {
+        let corners = points.map(p => ({ ...toMM(p), source: p }));
+
+        // Counter-clockwise seen from above so normals point outwards
+        const cross = (corners[1].x - corners[0].x) * (corners[2].y - corners[0].y) -
+            (corners[2].x - corners[0].x) * (corners[1].y - corners[0].y);
+        if (cross === 0) return;
+        if (cross < 0) corners = [corners[0], corners[2], corners[1]];
+
+        let tops;
+        if (mode === 'relief') {
+            tops = corners.map(c => base + relief * heightAt(c.source.x, c.source.y));
+        } else {
+            if (gap > 0) {
+                const inset = offsetTriangle(corners, -gap / 2);
+                if (!inset) return;
+                corners = inset;
+            }
+            tops = [thickness, thickness, thickness];
+        }
+
+        const bottom = corners.map(c => [c.x, c.y, 0]);
+        const top = corners.map((c, i) => [c.x, c.y, tops[i]]);
+
+        facets.push([top[0], top[1], top[2]]);
+        facets.push([bottom[0], bottom[2], bottom[1]]);
+
+        for (let i = 0; i < 3; i++) {
+            const j = (i + 1) % 3;
+            facets.push([bottom[i], bottom[j], top[j]]);
+            facets.push([bottom[i], top[j], top[i]]);
+        }
+    });
+
+    return facets;
+}
+
+function facetNormal([a, b, c]) {
+    const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    const n = [
+        u[1] * v[2] - u[2] * v[1],
+        u[2] * v[0] - u[0] * v[2],
+        u[0] * v[1] - u[1] * v[0]
+    ];
+    const length = Math.hypot(n[0], n[1], n[2]) || 1;
+    return n.map(value => value / length);
+}
+
+/**
+ * Write the mesh as STL
+ * Returns ASCII text, or an ArrayBuffer when options.binary is set
+ */
+function meshToSTL(triangles, options = {}) {
+    const facets = meshToFacets(triangles, options);
+    const name = options.name || 'codefarm';
+
+    if (options.binary) {
+        const buffer = new ArrayBuffer(84 + facets.length * 50);
+        const view = new DataView(buffer);
+
+        for (let i = 0; i < Math.min(name.length, 80); i++) {
+            view.setUint8(i, name.charCodeAt(i) & 0x7f);
+        }
+        view.setUint32(80, facets.length, true);
+
+        facets.forEach((facet, index) => {
+            let offset = 84 + index * 50;
+            [facetNormal(facet), ...facet].forEach(vector => {
+                vector.forEach(value => {
+                    view.setFloat32(offset, value, true);
+                    offset += 4;
+                });
+            });
+            view.setUint16(offset, 0, true);
+        });
+
+        return buffer;
+    }
+
+    const num = n => n.toFixed(4);
+    const lines = [`solid ${name}`];
+
+    facets.forEach(facet => {
+        lines.push(`  facet normal ${facetNormal(facet).map(num).join(' ')}`);
+        lines.push('    outer loop');
+        facet.forEach(v => lines.push(`      vertex ${v.map(num).join(' ')}`));
+        lines.push('    endloop');
+        lines.push('  endfacet');
+    });
+
+    lines.push(`endsolid ${name}`);
+    return lines.join('\n') + '\n';
+}
+
+// Export for use (self is the window on the page and the global scope in a worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { STL_MODES, offsetTriangle, meshToDXF, meshToFacets, meshToSTL };
+} else {
+    self.STL_MODES = STL_MODES;
+    self.offsetTriangle = offsetTriangle;
+    self.meshToDXF = meshToDXF;
+    self.meshToFacets = meshToFacets;
+    self.meshToSTL = meshToSTL;
+}
@@ -0,0 +1,91 @@
+/**
+ * CODEFARM Formation
+ * Encode a hero logo formation (its live cells, plus seed and rule) into a
+ * short URL fragment such as #logo=gUAgEAAAAAE&rule=B36/S23, and back
+ * No DOM access - loads as a browser script or as a Node module
+ */
+
+/**
+ * Pack cells (0 / 1 per cell) into bits, as unpadded base64url
+ */
+function encodeCells(cells) {
+    const bytes = new Uint8Array(Math.ceil(cells.length / 8));
+    for (let k = 0; k < cells.length; k++) {
+        if (cells[k]) bytes[k >> 3] |= 0x80 >> (k & 7);
+    }
+
+    return btoa(String.fromCharCode(...bytes))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+/**
+ * Unpack `count` cells from encodeCells output; null when it does not fit
+ */
+function decodeCells(text, count) {
+    if (!/^[A-Za-z0-9_-]*$/.test(text)) return null;
+
+    let binary;
+    try {
+        binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    } catch (e) {
+        return null;
+    }
+    if (binary.length !== Math.ceil(count / 8)) return null;
+
+    const cells = new Uint8Array(count);
+    for (let k = 0; k < count; k++) {
+        cells[k] = (binary.charCodeAt(k >> 3) >> (7 - (k & 7))) & 1;
+    }
+    return cells;
+}
+
+/**
+ * URL fragment (without '#') for a formation
+ * seed and rule are left out when not given; freeze asks the page to hold
+ * the formation instead of evolving it
+ */
+function encodeFormation({ cells, seed, rule, freeze = false }) {
+    const parts = [`logo=${encodeCells(cells)}`];
+
+    if (seed !== undefined && seed !== null) parts.push(`seed=${encodeURIComponent(seed)}`);
+    if (rule) parts.push(`rule=${rule}`);
+    if (freeze) parts.push('freeze');
+
+    return parts.join('&');
+}
+
+/**
+ * Read a formation from a URL fragment ('#logo=...'), for a grid of
+ * size x size cells
+ * Returns { cells, seed, rule, freeze }, or null when there is none or the
+ * link is damaged; an unreadable rule is dropped
+ */
+function decodeFormation(hash, size = 8) {
+    const params = new URLSearchParams(String(hash).replace(/^#/, ''));
+    if (!params.has('logo')) return null;
+
+    const cells = decodeCells(params.get('logo'), size * size);
+    if (!cells) return null;
+
+    const seed = params.get('seed');
+    const rule = params.get('rule');
+
+    return {
+        cells,
+        seed: seed === null || seed === '' ? undefined : seed,
+        rule: rule && /^B[0-8]*\/S[0-8]*$/i.test(rule) ? rule : undefined,
+        freeze: params.has('freeze') && params.get('freeze') !== '0'
+    };
+}
+
+// Export for use (self is the window on the page and the global scope in a worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { encodeCells, decodeCells, encodeFormation, decodeFormation };
+} else {
+    self.encodeCells = encodeCells;
+    self.decodeCells = decodeCells;
+    self.encodeFormation = encodeFormation;
+    self.decodeFormation = decodeFormation;
+}
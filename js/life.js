@@ -0,0 +1,242 @@
+/**
+ * CODEFARM Life Core
+ * Headless Game of Life simulation shared by the site engines and logo/sketch.js
+ * No DOM access - loads as a browser script or as a Node module
+ */
+
+// Named life-like rules, all in B/S notation
+const LIFE_RULES = {
+    conway: 'B3/S23',
+    highlife: 'B36/S23',
+    seeds: 'B2/S',
+    daynight: 'B3678/S34678'
+};
+
+// How neighbors beyond the border are counted
+const LIFE_EDGE_MODES = ['wrap', 'dead', 'mirror'];
+
+/**
+ * Parse a life-like rule such as "B36/S23" (or a name from LIFE_RULES)
+ * Returns lookup tables indexed by neighbor count
+ */
+function parseRule(rule = LIFE_RULES.conway) {
+    const notation = LIFE_RULES[String(rule).toLowerCase()] || String(rule);
+    const match = /^B([0-8]*)\/S([0-8]*)$/i.exec(notation.replace(/\s+/g, ''));
+
+    if (!match) {
+        throw new Error(`Invalid rule "${rule}" - expected B/S notation such as B3/S23`);
+    }
+
+    const birth = new Uint8Array(9);
+    const survive = new Uint8Array(9);
+    for (const digit of match[1]) birth[digit] = 1;
+    for (const digit of match[2]) survive[digit] = 1;
+
+    return {
+        notation: `B${match[1]}/S${match[2]}`,
+        birth,
+        survive
+    };
+}
+
+class LifeGrid {
+    constructor(size, options = {}) {
+        this.size = size;
+        this.setRule(options.rule);
+        this.setEdges(options.edges);
+
+        // Flat column-major storage: cell (x, y) lives at x * size + y
+        this.cells = new Uint8Array(size * size);
+        this.nextCells = new Uint8Array(size * size);
+        this.generation = 0;
+    }
+
+    /**
+     * Switch to another life-like rule (B/S notation or a LIFE_RULES name)
+     */
+    setRule(rule) {
+        this.rule = parseRule(rule);
+    }
+
+    /**
+     * Choose border handling: 'wrap' (toroidal), 'dead' or 'mirror'
+     */
+    setEdges(edges = 'wrap') {
+        if (!LIFE_EDGE_MODES.includes(edges)) {
+            throw new Error(`Invalid edge mode "${edges}" - expected one of ${LIFE_EDGE_MODES.join(', ')}`);
+        }
+        this.edges = edges;
+    }
+
+    index(x, y) {
+        return x * this.size + y;
+    }
+
+    get(x, y) {
+        return this.cells[x * this.size + y];
+    }
+
+    set(x, y, state) {
+        this.cells[x * this.size + y] = state ? 1 : 0;
+    }
+
+    /**
+     * Kill every cell and reset the generation counter
+     */
+    clear() {
+        this.cells.fill(0);
+        this.generation = 0;
+    }
+
+    /**
+     * Seed the grid at random
+     * density is either a number or a function (x, y) => probability
+     */
+    randomize(density, random = Math.random) {
+        const probability = typeof density === 'function' ? density : () => density;
+
+        for (let i = 0; i < this.size; i++) {
+            for (let j = 0; j < this.size; j++) {
+                this.cells[i * this.size + j] = random() < probability(i, j) ? 1 : 0;
+            }
+        }
+
+        this.generation = 0;
+    }
+
+    /**
+     * Map a coordinate that may lie beyond the border back onto the grid
+     * Returns -1 when the neighbor counts as dead
+     */
+    resolveCoord(c) {
+        const size = this.size;
+        if (c >= 0 && c < size) return c;
+
+        switch (this.edges) {
+            case 'dead':
+                return -1;
+            case 'mirror':
+                // Reflect across the border line: -1 mirrors 0, size mirrors size - 1
+                return c < 0 ? -c - 1 : 2 * size - c - 1;
+            default:
+                return (c + size) % size;
+        }
+    }
+
+    /**
+     * Count living neighbors for a cell, honouring the edge mode
+     */
+    countNeighbors(x, y) {
+        const size = this.size;
+        let count = 0;
+
+        for (let i = -1; i <= 1; i++) {
+            const col = this.resolveCoord(x + i);
+            if (col < 0) continue;
+
+            for (let j = -1; j <= 1; j++) {
+                if (i === 0 && j === 0) continue;
+
+                const row = this.resolveCoord(y + j);
+                if (row < 0) continue;
+
+                count += this.cells[col * size + row];
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Advance one generation using the current rule
+     * Returns the number of living cells afterwards
+     */
+    step() {
+        const { birth, survive } = this.rule;
+        let living = 0;
+
+        for (let i = 0; i < this.size; i++) {
+            for (let j = 0; j < this.size; j++) {
+                const index = i * this.size + j;
+                const neighbors = this.countNeighbors(i, j);
+
+                this.nextCells[index] = this.cells[index] === 1 ? survive[neighbors] : birth[neighbors];
+
+                living += this.nextCells[index];
+            }
+        }
+
+        // Swap buffers
+        [this.cells, this.nextCells] = [this.nextCells, this.cells];
+        this.generation++;
+
+        return living;
+    }
+
+    /**
+     * Count living cells in grid
+     */
+    countLiving() {
+        let count = 0;
+        for (let k = 0; k < this.cells.length; k++) {
+            count += this.cells[k];
+        }
+        return count;
+    }
+
+    /**
+     * Bring random empty cells to life until at least `minimum` are alive
+     */
+    ensureMinimum(minimum, random = Math.random) {
+        const current = this.countLiving();
+        if (current >= minimum) return;
+
+        const emptyCells = [];
+        for (let k = 0; k < this.cells.length; k++) {
+            if (this.cells[k] === 0) emptyCells.push(k);
+        }
+
+        // Shuffle
+        for (let i = emptyCells.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [emptyCells[i], emptyCells[j]] = [emptyCells[j], emptyCells[i]];
+        }
+
+        const needed = minimum - current;
+        for (let k = 0; k < Math.min(needed, emptyCells.length); k++) {
+            this.cells[emptyCells[k]] = 1;
+        }
+    }
+
+    /**
+     * Collect living cells as points at the centre of each cell
+     */
+    collectLiving(cellWidth = 1, cellHeight = cellWidth) {
+        const cells = [];
+
+        for (let i = 0; i < this.size; i++) {
+            for (let j = 0; j < this.size; j++) {
+                if (this.cells[i * this.size + j] === 1) {
+                    cells.push({
+                        x: i * cellWidth + cellWidth / 2,
+                        y: j * cellHeight + cellHeight / 2,
+                        gridX: i,
+                        gridY: j
+                    });
+                }
+            }
+        }
+
+        return cells;
+    }
+}
+
+// Export for use (self is the window on the page and the global scope in a worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LifeGrid, parseRule, LIFE_RULES, LIFE_EDGE_MODES };
+} else {
+    self.LifeGrid = LifeGrid;
+    self.parseRule = parseRule;
+    self.LIFE_RULES = LIFE_RULES;
+    self.LIFE_EDGE_MODES = LIFE_EDGE_MODES;
+}
@@ -16,23 +16,71 @@ class CodefarmApp {
         this.navToggle = document.getElementById('navToggle');
         this.navLinks = document.querySelector('.nav-links');
         this.heroLogo = document.getElementById('heroLogo');
+        this.motionToggle = document.getElementById('motionToggle');
+        this.audioControls = document.getElementById('heroAudio');
+        this.soundControls = document.getElementById('soundControls');
         
         this.sections = document.querySelectorAll('.section');
         this.navLinkElements = document.querySelectorAll('.nav-link');
         
+        this.motion = new MotionPolicy();
         this.triangleEngine = null;
         this.heroAnimation = null;
         this.currentSection = 'hero';
         this.isNavigating = false;
+        this.navigation = null; // AbortController of the running reveal
+        this.recording = null; // AbortController of the logo clip being recorded
+        this.audio = null; // AudioReactor driving the hero logo
+        this.audioInput = null; // 'mic' or 'file'
+        this.audioRequest = null; // AudioReactor waiting for its input
+        this.sound = null; // RevealSonifier voicing the navigation reveal
     }
     
     init() {
-        // Initialize triangulation engine
-        this.triangleEngine = new TriangulationEngine(this.canvas);
+        // ?seed=... replays the exact same formations
+        const seed = seedFromLocation(window.location.search);
         
-        // Initialize hero logo animation
+        // ?quality=full|sprite|plain pins a rendering tier, ?quality=auto
+        // keeps it adaptive; either way tier changes are logged
+        const quality = new URLSearchParams(window.location.search).get('quality');
+        const debugQuality = quality !== null;
+        const forcedQuality = QUALITY_TIERS.includes(quality) ? quality : undefined;
+        const logQuality = name => tier => {
+            if (debugQuality) console.info(`[codefarm] ${name} quality: ${tier}`);
+        };
+        
+        // Initialize triangulation engine (in a worker where supported)
+        // Edge handling and renderer backend can be set with data-edges /
+        // data-renderer; the look of each reveal comes from the profiles
+        this.triangleEngine = createOverlayEngine(this.canvas, {
+            profiles: this.readProfiles(),
+            edges: this.readEdges(this.canvas, '#triangleCanvas'),
+            renderer: this.canvas.dataset.renderer,
+            worker: this.canvas.dataset.worker !== 'false',
+            seed,
+            reducedMotion: this.motion.reduced,
+            quality: forcedQuality,
+            onQualityChange: logQuality('overlay')
+        });
+        
+        // Initialize hero logo animation, from a shared formation when the
+        // page was opened from a #logo=... link
         if (this.heroLogo) {
-            this.heroAnimation = new HeroLogoAnimation(this.heroLogo);
+            this.heroAnimation = new HeroLogoAnimation(this.heroLogo, {
+                formation: decodeFormation(window.location.hash),
+                rule: this.heroLogo.dataset.rule,
+                edges: this.readEdges(this.heroLogo, '#heroLogo'),
+                renderer: this.heroLogo.dataset.renderer,
+                geometry: this.heroLogo.dataset.geometry,
+                seed,
+                reducedMotion: this.motion.reduced,
+                quality: forcedQuality,
+                onQualityChange: logQuality('hero')
+            });
+        }
+        
+        if (debugQuality) {
+            console.info(`[codefarm] quality: overlay ${this.triangleEngine.qualityTier}, hero ${this.heroAnimation ? this.heroAnimation.qualityTier : '-'}`);
         }
         
         // Setup event listeners
@@ -40,11 +88,58 @@ class CodefarmApp {
         this.setupMobileNav();
         this.setupScrollObserver();
         this.setupSectionAnimations();
+        this.setupLogoExport();
+        this.setupFormationLinks();
+        this.setupMotionToggle();
+        this.setupAudio();
+        this.setupSound();
         
         // Initial state
         this.updateActiveNav('hero');
     }
     
+    /**
+     * Reveal profiles declared in the markup: the default one on
+     * #triangleCanvas, one per <section> for reveals towards it
+     * (data-rule, data-density, data-grid-size, data-max-frames,
+     * data-frame-delay, data-palette, data-render-mode, data-reveal,
+     * data-spread, data-duration, data-hold, data-fade)
+     * A profile with an invalid attribute is skipped with a warning, so the
+     * reveal falls back to the engine defaults
+     */
+    readProfiles() {
+        const read = (element, name) => {
+            try {
+                return profileFromDataset(element.dataset);
+            } catch (error) {
+                console.warn(`[codefarm] Ignoring the reveal profile of ${name}: ${error.message}`);
+                return {};
+            }
+        };
+        const profiles = { default: read(this.canvas, '#triangleCanvas') };
+        
+        this.sections.forEach(section => {
+            const profile = read(section, `#${section.id}`);
+            if (Object.keys(profile).length > 0) {
+                profiles[section.id] = profile;
+            }
+        });
+        
+        return profiles;
+    }
+    
+    /**
+     * Border handling from data-edges; an unknown mode is ignored with a
+     * warning so the engine keeps its default
+     */
+    readEdges(element, name) {
+        const { edges } = element.dataset;
+        if (edges === undefined || LIFE_EDGE_MODES.includes(edges)) return edges;
+        
+        console.warn(`[codefarm] Ignoring data-edges="${edges}" on ${name} - expected one of ${LIFE_EDGE_MODES.join(', ')}`);
+        return undefined;
+    }
+    
     /**
      * Setup navigation click handlers
      */
@@ -61,7 +156,7 @@ class CodefarmApp {
                 if (!targetSection || targetId === this.currentSection) {
                     // Just scroll if same section
                     if (targetSection) {
-                        targetSection.scrollIntoView({ behavior: 'smooth' });
+                        targetSection.scrollIntoView({ behavior: this.scrollBehavior() });
                     }
                     return;
                 }
@@ -104,6 +199,9 @@ class CodefarmApp {
         
         this.isNavigating = true;
         
+        // Audio may only start from a click like this one
+        if (this.sound) this.sound.wake();
+        
         // Close mobile nav if open
         if (this.navLinks.classList.contains('open')) {
             this.toggleMobileNav();
@@ -112,20 +210,312 @@ class CodefarmApp {
         // Update active state
         this.updateActiveNav(targetId);
         
-        // Run triangulation animation
-        this.triangleEngine.runFromClick(clickX, clickY, targetId, () => {
-            // Reset navigation flag when animation completes
-            this.isNavigating = false;
-        });
-        
-        // Scroll to section (slightly delayed for effect)
-        setTimeout(() => {
+        // Reduced motion: jump straight there with a quick cross-fade
+        if (this.motion.reduced) {
             const targetSection = document.getElementById(targetId);
             if (targetSection) {
-                targetSection.scrollIntoView({ behavior: 'smooth' });
+                targetSection.classList.remove('crossfade-in');
+                void targetSection.offsetWidth; // Restart the animation
+                targetSection.classList.add('crossfade-in');
+                targetSection.scrollIntoView({ behavior: 'auto' });
+                this.currentSection = targetId;
+            }
+            this.finishNavigation(targetId);
+            return;
+        }
+        
+        // Run triangulation animation, in the look of the target section's
+        // profile (see readProfiles)
+        const target = document.getElementById(targetId);
+        this.navigation = new AbortController();
+        const options = { signal: this.navigation.signal };
+        if (target) {
+            // A sweep runs towards the section: down when it is below the viewport
+            options.direction = { x: 0, y: target.getBoundingClientRect().top >= 0 ? 1 : -1 };
+        }
+        
+        // Scroll under the mesh as soon as it starts covering the page
+        const scrollToTarget = (behavior) => {
+            if (target) {
+                target.scrollIntoView({ behavior });
                 this.currentSection = targetId;
             }
-        }, 300);
+        };
+        let scrolled = false;
+        const offTriangulate = this.triangleEngine.on('triangulate', () => {
+            scrolled = true;
+            scrollToTarget('smooth');
+        });
+        
+        this.triangleEngine.runFromClick(clickX, clickY, targetId, null, options).then(() => {
+            offTriangulate();
+            this.navigation = null;
+            
+            // Cancelled (or reduced motion) before the mesh: still arrive
+            if (!scrolled) scrollToTarget('auto');
+            this.finishNavigation(targetId);
+        });
+    }
+    
+    /**
+     * Once a section is reached: move focus there for keyboard and screen
+     * reader users, and put it in the address bar
+     */
+    finishNavigation(targetId) {
+        const target = document.getElementById(targetId);
+        if (target) {
+            if (!target.hasAttribute('tabindex')) {
+                target.setAttribute('tabindex', '-1');
+            }
+            target.focus({ preventScroll: true });
+            
+            if (window.location.hash !== `#${targetId}`) {
+                history.replaceState(null, '', `#${targetId}`);
+            }
+        }
+        
+        this.isNavigating = false;
+    }
+    
+    /**
+     * Hidden shortcuts on the hero for saving the logo
+     *   p / P (shift) - SVG for pen plotting / one layer per hue band
+     *   d / D         - DXF edges / plus kerf-compensated outlines per triangle
+     *   s / S         - STL extruded plates / height-mapped relief
+     *   l / L         - link to this formation / one that freezes on it
+     *   i / I         - 4096 px PNG poster on black / on a transparent background
+     *   v / V         - WebM clip of 3 / 6 morph cycles; press again to stop early
+     */
+    setupLogoExport() {
+        if (!this.heroAnimation) return;
+        
+        const exports = {
+            p: (shift) => this.heroAnimation.downloadSVG(undefined, { layers: shift ? 'hue' : null }),
+            d: (shift) => this.heroAnimation.downloadDXF(undefined, { kerf: shift ? 0.2 : 0 }),
+            s: (shift) => this.heroAnimation.downloadSTL(undefined, {
+                mode: shift ? 'relief' : 'plate',
+                gap: shift ? 0 : 1,
+                binary: true
+            }),
+            l: (shift) => this.shareFormation(shift),
+            i: (shift) => this.heroAnimation.downloadPNG(undefined, { background: shift ? null : '#000000' }).catch((error) => {
+                console.warn(`[codefarm] Could not save the poster: ${error.message}`);
+            }),
+            v: (shift) => this.recordLogo(shift ? 6 : 3)
+        };
+        
+        document.addEventListener('keydown', (e) => {
+            const exportLogo = exports[e.key.toLowerCase()];
+            if (!exportLogo || e.metaKey || e.ctrlKey || e.altKey) return;
+            // Keys meant for a focused control (nav buttons, links, the sound
+            // slider) never save a file
+            if (e.target.closest && e.target.closest('a, button, input, textarea, select, summary, [contenteditable]')) return;
+            if (this.currentSection !== 'hero') return;
+            
+            exportLogo(e.shiftKey);
+        });
+    }
+    
+    /**
+     * Put a link to the current logo formation in the address bar and on
+     * the clipboard
+     */
+    shareFormation(freeze) {
+        const fragment = this.heroAnimation.exportFormation({ freeze });
+        history.replaceState(null, '', `#${fragment}`);
+        
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(window.location.href).catch(() => {
+                // Clipboard access denied - the link is still in the address bar
+            });
+        }
+    }
+    
+    /**
+     * Download a WebM clip of the logo, or stop the one being recorded
+     */
+    recordLogo(cycles) {
+        if (this.recording) {
+            this.recording.abort();
+            return;
+        }
+        
+        const recording = new AbortController();
+        const clip = this.heroAnimation.downloadWebM(undefined, { cycles, signal: recording.signal });
+        this.recording = recording;
+        clip.catch((error) => {
+            console.warn(`[codefarm] Could not record the logo: ${error.message}`);
+        }).finally(() => {
+            if (this.recording === recording) this.recording = null;
+        });
+    }
+    
+    /**
+     * Follow #logo=... links opened while the page is already showing
+     */
+    setupFormationLinks() {
+        if (!this.heroAnimation) return;
+        
+        window.addEventListener('hashchange', () => {
+            const formation = decodeFormation(window.location.hash);
+            if (formation) {
+                this.heroAnimation.loadFormation(formation);
+            }
+        });
+    }
+    
+    /**
+     * Opt-in audio-reactive logo, driven by the microphone or by an audio
+     * file played on a loop
+     */
+    setupAudio() {
+        if (!this.heroAnimation || !this.audioControls) return;
+        if (!window.AudioContext && !window.webkitAudioContext) return;
+        
+        this.audioMic = document.getElementById('audioMic');
+        this.audioFile = document.getElementById('audioFile');
+        this.audioFileButton = document.getElementById('audioFileButton');
+        this.audioStop = document.getElementById('audioStop');
+        this.audioControls.hidden = false;
+        
+        this.audioMic.addEventListener('click', () => {
+            if (this.audioInput === 'mic') {
+                this.stopAudio();
+            } else {
+                this.startAudio('mic', reactor => reactor.useMicrophone());
+            }
+        });
+        this.audioFileButton.addEventListener('click', () => this.audioFile.click());
+        this.audioFile.addEventListener('change', () => {
+            const file = this.audioFile.files[0];
+            this.audioFile.value = '';
+            if (file) {
+                this.startAudio('file', reactor => reactor.useFile(file));
+            }
+        });
+        this.audioStop.addEventListener('click', () => this.stopAudio());
+    }
+    
+    /**
+     * Swap to a new audio input; `connect(reactor)` resolves once it plays
+     */
+    startAudio(input, connect) {
+        this.stopAudio();
+        
+        const reactor = new AudioReactor();
+        this.audioRequest = reactor;
+        
+        // A connect() that throws is handled like one that rejects
+        new Promise(resolve => resolve(connect(reactor))).then(() => {
+            // Stopped, or replaced by another input, while waiting
+            if (this.audioRequest !== reactor) {
+                reactor.stop();
+                return;
+            }
+            
+            this.audioRequest = null;
+            this.audio = reactor;
+            this.audioInput = input;
+            this.heroAnimation.setAudio(reactor);
+            this.updateAudioControls();
+        }).catch((error) => {
+            // No microphone API, access denied, or a file the browser cannot decode
+            console.warn(`[codefarm] Could not start audio: ${error.message}`);
+            if (this.audioRequest === reactor) this.audioRequest = null;
+            reactor.stop();
+            this.updateAudioControls();
+        });
+    }
+    
+    stopAudio() {
+        this.audioRequest = null;
+        if (!this.audio) return;
+        
+        this.heroAnimation.setAudio(null);
+        this.audio.stop();
+        this.audio = null;
+        this.audioInput = null;
+        this.updateAudioControls();
+    }
+    
+    updateAudioControls() {
+        this.audioMic.setAttribute('aria-pressed', String(this.audioInput === 'mic'));
+        this.audioFileButton.setAttribute('aria-pressed', String(this.audioInput === 'file'));
+        this.audioStop.hidden = !this.audio;
+    }
+    
+    /**
+     * Sound for the navigation reveal: a tone per piece as it starts growing
+     * (see RevealSonifier), off until switched on in the nav
+     */
+    setupSound() {
+        if (!this.soundControls) return;
+        if (!window.AudioContext && !window.webkitAudioContext) return;
+        
+        const toggle = document.getElementById('soundToggle');
+        const volume = document.getElementById('soundVolume');
+        const update = () => {
+            toggle.setAttribute('aria-pressed', String(!this.sound.muted));
+            toggle.textContent = this.sound.muted ? 'Sound: Off' : 'Sound: On';
+            volume.disabled = this.sound.muted;
+        };
+        
+        this.sound = new RevealSonifier();
+        this.soundControls.hidden = false;
+        volume.value = Math.round(this.sound.volume * 100);
+        update();
+        
+        toggle.addEventListener('click', () => {
+            this.sound.setMuted(!this.sound.muted);
+            update();
+        });
+        volume.addEventListener('input', () => this.sound.setVolume(volume.value / 100));
+        
+        this.triangleEngine.on('piece:start', detail => this.sound.play(detail));
+    }
+    
+    /**
+     * Visible motion toggle - overrides the OS setting and is remembered
+     */
+    setupMotionToggle() {
+        const update = (reduced) => {
+            if (!this.motionToggle) return;
+            this.motionToggle.setAttribute('aria-pressed', String(reduced));
+            this.motionToggle.textContent = reduced ? 'Motion: Off' : 'Motion: On';
+        };
+        
+        update(this.motion.reduced);
+        
+        if (this.motionToggle) {
+            this.motionToggle.addEventListener('click', () => this.motion.toggle());
+        }
+        
+        this.motion.subscribe((reduced) => {
+            update(reduced);
+            this.triangleEngine.reducedMotion = reduced;
+            
+            // Cut a reveal short when motion is switched off mid-way
+            if (reduced && this.navigation) {
+                this.navigation.abort();
+            }
+            if (reduced) {
+                this.stopAudio();
+            }
+            if (this.heroAnimation && this.heroAnimation.reducedMotion !== reduced) {
+                this.heroAnimation.setReducedMotion(reduced);
+            }
+            
+            // Drop any parallax offset left from before
+            const heroContent = document.querySelector('#hero .hero-content');
+            if (reduced && heroContent) {
+                heroContent.style.transform = '';
+                heroContent.style.opacity = '';
+            }
+        });
+    }
+    
+    scrollBehavior() {
+        return this.motion.reduced ? 'auto' : 'smooth';
     }
     
     /**
@@ -221,6 +611,9 @@ window.addEventListener('scroll', () => {
     if (now - lastScrollTime < scrollThrottle) return;
     lastScrollTime = now;
     
+    // No parallax under reduced motion (see MotionPolicy)
+    if (document.documentElement.classList.contains('reduced-motion')) return;
+    
     const hero = document.getElementById('hero');
     if (hero) {
         const scrollY = window.scrollY;
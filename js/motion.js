@@ -0,0 +1,93 @@
+/**
+ * CODEFARM Motion Policy
+ * Single source of truth for reduced motion: follows the OS
+ * prefers-reduced-motion setting unless the visitor picks a mode with the
+ * nav toggle, in which case that choice is saved and wins
+ */
+
+class MotionPolicy {
+    constructor(storageKey = 'codefarm-motion') {
+        this.storageKey = storageKey;
+        this.listeners = [];
+        this.media = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+        // 'system' follows the OS, 'reduce' / 'full' are explicit overrides
+        this.preference = this.loadPreference();
+
+        if (this.media) {
+            const onSystemChange = () => {
+                if (this.preference === 'system') this.notify();
+            };
+
+            if (this.media.addEventListener) {
+                this.media.addEventListener('change', onSystemChange);
+            } else if (this.media.addListener) {
+                this.media.addListener(onSystemChange);
+            }
+        }
+
+        this.applyClass();
+    }
+
+    get reduced() {
+        if (this.preference === 'reduce') return true;
+        if (this.preference === 'full') return false;
+        return !!(this.media && this.media.matches);
+    }
+
+    loadPreference() {
+        try {
+            const saved = window.localStorage.getItem(this.storageKey);
+            return saved === 'reduce' || saved === 'full' ? saved : 'system';
+        } catch (e) {
+            // Storage can be unavailable (private mode, blocked cookies)
+            return 'system';
+        }
+    }
+
+    /**
+     * Override the OS setting ('reduce' or 'full'), or go back to 'system'
+     */
+    setPreference(preference) {
+        this.preference = preference;
+
+        try {
+            if (preference === 'system') {
+                window.localStorage.removeItem(this.storageKey);
+            } else {
+                window.localStorage.setItem(this.storageKey, preference);
+            }
+        } catch (e) {
+            // Still applies for this visit
+        }
+
+        this.notify();
+    }
+
+    /**
+     * Flip the effective mode and remember it
+     */
+    toggle() {
+        this.setPreference(this.reduced ? 'full' : 'reduce');
+    }
+
+    /**
+     * Call `listener(reduced)` now and whenever the effective mode changes
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        listener(this.reduced);
+    }
+
+    notify() {
+        this.applyClass();
+        this.listeners.forEach(listener => listener(this.reduced));
+    }
+
+    // Lets CSS switch off its own transitions and smooth scrolling
+    applyClass() {
+        document.documentElement.classList.toggle('reduced-motion', this.reduced);
+    }
+}
+
+window.MotionPolicy = MotionPolicy;
@@ -0,0 +1,115 @@
+/**
+ * CODEFARM Overlay Worker
+ * Runs TriangulationEngine on an OffscreenCanvas so the navigation overlay
+ * simulates and draws off the main thread (driven by OverlayWorkerEngine)
+ */
+
+importScripts(
+    'https://cdn.jsdelivr.net/npm/delaunator@5.0.0/delaunator.min.js',
+    'life.js',
+    'random.js',
+    'clock.js',
+    'quality.js',
+    'renderer.js',
+    'voronoi.js',
+    'triangulate.js'
+);
+
+// requestAnimationFrame is not available in every worker
+const workerClock = typeof requestAnimationFrame === 'function' ? browserClock : {
+    ...browserClock,
+    requestFrame: callback => setTimeout(() => callback(performance.now()), 1000 / 60),
+    cancelFrame: id => clearTimeout(id)
+};
+
+let engine = null;
+let runId = 0;
+
+self.onmessage = (e) => {
+    const message = e.data;
+    
+    // Nothing to drive once init has failed; the page already knows
+    if (!engine && message.type !== 'init') return;
+    
+    switch (message.type) {
+        case 'init':
+            // Bad options (e.g. an unknown edge mode) are reported as fatal:
+            // the page marks the overlay broken and navigates without it
+            try {
+                engine = new TriangulationEngine(message.canvas, {
+                    ...message.options,
+                    width: message.width,
+                    height: message.height,
+                    pixelRatio: message.pixelRatio,
+                    clock: workerClock,
+                    listen: false,
+                    animateHue: false,
+                    onQualityChange: tier => self.postMessage({ type: 'quality', tier })
+                });
+            } catch (error) {
+                self.postMessage({ type: 'error', fatal: true, message: error.message });
+                break;
+            }
+            
+            // Forward the phases; the page settles the run itself when it ends
+            REVEAL_EVENTS.filter(event => event !== 'done' && event !== 'cancelled').forEach(event => {
+                engine.on(event, detail => self.postMessage({ type: 'event', event, detail, id: runId }));
+            });
+            break;
+        case 'run':
+            runId = message.id;
+            
+            // A refused run is reported so the page does not wait on it
+            try {
+                engine.setHue(message.hue);
+                engine.runFromClick(message.x, message.y, message.targetSection, null, message.options)
+                    .then(({ status }) => {
+                        if (status === 'done') self.postMessage({ type: 'done', id: message.id });
+                    })
+                    .catch(error => self.postMessage({ type: 'error', id: message.id, message: error.message }));
+            } catch (error) {
+                self.postMessage({ type: 'error', id: message.id, message: error.message });
+            }
+            break;
+        case 'mesh':
+            // Plain points only: the page builds DXF / STL files itself
+            self.postMessage({
+                type: 'mesh',
+                id: message.id,
+                mesh: {
+                    triangles: engine.triangles.map(tri => tri.points.map(p => ({ x: p.x, y: p.y }))),
+                    width: engine.width,
+                    height: engine.height
+                }
+            });
+            break;
+        case 'resize':
+            engine.resize(message.width, message.height, message.pixelRatio);
+            break;
+        case 'hue':
+            engine.setHue(message.hue);
+            break;
+        case 'renderMode':
+            engine.setRenderMode(message.mode);
+            break;
+        case 'profile':
+            engine.setProfile(message.id, message.profile);
+            break;
+        case 'quality':
+            engine.setQuality(message.tier);
+            break;
+        case 'stop':
+            engine.stop();
+            break;
+        case 'pause':
+            engine.pause(message.reason);
+            break;
+        case 'resume':
+            engine.resume(message.reason);
+            break;
+        case 'destroy':
+            engine.destroy();
+            self.close();
+            break;
+    }
+};
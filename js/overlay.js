@@ -0,0 +1,336 @@
+/**
+ * CODEFARM Overlay
+ * Runs the navigation overlay in a Web Worker drawing to an OffscreenCanvas
+ * when the browser allows it, so the simulation and glow drawing stay off
+ * the main thread while the page scrolls. Falls back to TriangulationEngine.
+ */
+
+/**
+ * Main-thread stand-in for TriangulationEngine that forwards to the worker
+ * Keeps the page accent hue cycling here and sends it along while running;
+ * phase events from the worker are re-emitted here
+ */
+class OverlayWorkerEngine extends RevealEmitter {
+    constructor(canvas, options = {}) {
+        super();
+        this.canvas = canvas;
+        this.reducedMotion = !!options.reducedMotion;
+        this.seed = createRandom(options.seed).seed;
+        
+        this.isRunning = false;
+        this.targetSection = null;
+        this.onComplete = null;
+        this.currentRun = null;
+        this.runId = 0;
+        this.meshRequests = new Map(); // Pending getMesh() calls by id
+        this.meshRequestId = 0;
+        
+        // RGB hue for accent
+        this.hue = 0;
+        this.hueSpeed = 0.3;
+        this.hueFrame = null;
+        
+        this.pauseReasons = new Set();
+        this.isDestroyed = false;
+        this.isBroken = false; // Set once the worker has failed; runs then settle straight away
+        
+        // Rendering tier as last reported by the worker
+        this.qualityTier = options.quality || QUALITY_TIERS[0];
+        this.onQualityChange = options.onQualityChange || null;
+        
+        // Create the worker before transferring: a canvas cannot be taken back
+        this.worker = new Worker(options.workerUrl || 'js/overlay-worker.js');
+        this.worker.onmessage = (e) => {
+            // Messages from a run that was stopped meanwhile are dropped
+            const current = this.currentRun && e.data.id === this.runId;
+            
+            if (e.data.type === 'event' && current) {
+                this.emit(e.data.event, e.data.detail);
+            } else if (e.data.type === 'done' && current) {
+                this.finish('done');
+            } else if (e.data.type === 'error' && e.data.fatal) {
+                // The engine could not start in the worker
+                this.fail(e.data.message);
+            } else if (e.data.type === 'error' && current) {
+                // The run was refused (e.g. a bad option); the worker is fine
+                console.error(`[codefarm] overlay: ${e.data.message}`);
+                this.finish('cancelled');
+            } else if (e.data.type === 'mesh' && this.meshRequests.has(e.data.id)) {
+                this.meshRequests.get(e.data.id).resolve(e.data.mesh);
+                this.meshRequests.delete(e.data.id);
+            } else if (e.data.type === 'quality') {
+                this.qualityTier = e.data.tier;
+                if (this.onQualityChange) this.onQualityChange(e.data.tier);
+            }
+        };
+        
+        // The worker failed to load its scripts or threw while drawing: the
+        // canvas cannot come back to this thread, so later runs are settled
+        // at once and the page still navigates, without the overlay
+        this.worker.onerror = (e) => this.fail(e.message || 'unknown error');
+        this.worker.onmessageerror = () => {
+            if (this.currentRun) this.finish('cancelled');
+        };
+        
+        const offscreen = canvas.transferControlToOffscreen();
+        this.worker.postMessage({
+            type: 'init',
+            canvas: offscreen,
+            width: window.innerWidth,
+            height: window.innerHeight,
+            pixelRatio: window.devicePixelRatio || 1,
+            options: {
+                rule: options.rule,
+                edges: options.edges,
+                quality: options.quality,
+                renderer: options.renderer,
+                renderMode: options.renderMode,
+                reveal: options.reveal,
+                spread: options.spread,
+                duration: options.duration,
+                profiles: options.profiles,
+                seed: this.seed
+            }
+        }, [offscreen]);
+        
+        this.onResize = () => {
+            this.worker.postMessage({
+                type: 'resize',
+                width: window.innerWidth,
+                height: window.innerHeight,
+                pixelRatio: window.devicePixelRatio || 1
+            });
+        };
+        this.onVisibilityChange = () => {
+            if (document.hidden) {
+                this.pause('hidden');
+            } else {
+                this.resume('hidden');
+            }
+        };
+        
+        window.addEventListener('resize', this.onResize);
+        this.stopWatchingRatio = watchPixelRatio(this.onResize);
+        if (options.autoPause !== false) {
+            document.addEventListener('visibilitychange', this.onVisibilityChange);
+        }
+        
+        this.animateHue();
+    }
+    
+    get isPaused() {
+        return this.pauseReasons.size > 0;
+    }
+    
+    animateHue() {
+        this.hue = (this.hue + this.hueSpeed) % 360;
+        document.documentElement.style.setProperty('--accent-hue', this.hue);
+        
+        if (this.isRunning) {
+            this.worker.postMessage({ type: 'hue', hue: this.hue });
+        }
+        this.hueFrame = requestAnimationFrame(() => this.animateHue());
+    }
+    
+    /**
+     * Same contract as TriangulationEngine.runFromClick
+     */
+    runFromClick(x, y, targetSection, onComplete, options = {}) {
+        if (this.isRunning) {
+            this.stop();
+        }
+        
+        // An AbortSignal cannot be posted; aborting is handled on this side
+        const { signal, ...runOptions } = options;
+        const finished = new Promise(resolve => {
+            this.currentRun = { targetSection, resolve, signal, onAbort: null };
+        });
+        this.onComplete = onComplete;
+        
+        if (signal && signal.aborted) {
+            this.finish('cancelled');
+            return finished;
+        }
+        
+        // Reduced motion: no overlay, the caller handles the section change
+        if (this.reducedMotion) {
+            this.finish('done');
+            return finished;
+        }
+        
+        // Nothing left to draw with once the worker has failed
+        if (this.isBroken) {
+            this.finish('cancelled');
+            return finished;
+        }
+        
+        this.runId++;
+        this.isRunning = true;
+        this.targetSection = targetSection;
+        
+        if (signal) {
+            const run = this.currentRun;
+            run.onAbort = () => {
+                if (this.currentRun === run) this.stop();
+            };
+            signal.addEventListener('abort', run.onAbort);
+        }
+        
+        this.worker.postMessage({
+            type: 'run',
+            id: this.runId,
+            x,
+            y,
+            targetSection,
+            hue: this.hue,
+            options: runOptions
+        });
+        return finished;
+    }
+    
+    setRenderMode(mode) {
+        if (!TRIANGLE_RENDER_MODES.includes(mode)) {
+            throw new Error(`Invalid render mode "${mode}" - expected one of ${TRIANGLE_RENDER_MODES.join(', ')}`);
+        }
+        this.worker.postMessage({ type: 'renderMode', mode });
+    }
+    
+    /**
+     * Same as TriangulationEngine.setProfile
+     */
+    setProfile(id, profile) {
+        this.worker.postMessage({ type: 'profile', id, profile: validateProfile(profile) });
+    }
+    
+    /**
+     * Pin a rendering tier in the worker, or pass null to adapt again
+     */
+    setQuality(tier) {
+        if (tier !== null && !QUALITY_TIERS.includes(tier)) {
+            throw new Error(`Invalid quality tier "${tier}" - expected one of ${QUALITY_TIERS.join(', ')}`);
+        }
+        this.worker.postMessage({ type: 'quality', tier });
+    }
+    
+    /**
+     * The triangles of the last reveal, from the worker
+     * Returns a Promise of { triangles: [[p1, p2, p3]], width, height }
+     */
+    getMesh() {
+        if (this.isBroken || this.isDestroyed) {
+            return Promise.reject(new Error('The overlay worker is not running'));
+        }
+        
+        const id = ++this.meshRequestId;
+        return new Promise((resolve, reject) => {
+            this.meshRequests.set(id, { resolve, reject });
+            this.worker.postMessage({ type: 'mesh', id });
+        });
+    }
+    
+    /**
+     * Same as TriangulationEngine.exportDXF, but returns a Promise
+     * The file is built here, so options may hold functions (heightAt)
+     */
+    exportDXF(options = {}) {
+        return this.getMesh().then(({ triangles, width, height }) => meshToDXF(triangles, { width, height, ...options }));
+    }
+    
+    /**
+     * Same as TriangulationEngine.exportSTL, but returns a Promise
+     */
+    exportSTL(options = {}) {
+        return this.getMesh().then(({ triangles, width, height }) => meshToSTL(triangles, { width, height, ...options }));
+    }
+    
+    /**
+     * The worker cannot draw any more: settle the current run and pending
+     * mesh requests, and every later run at once
+     */
+    fail(reason) {
+        console.error(`[codefarm] overlay worker failed: ${reason}`);
+        this.isBroken = true;
+        if (this.currentRun) this.finish('cancelled');
+        this.meshRequests.forEach(request => request.reject(new Error('The overlay worker failed')));
+        this.meshRequests.clear();
+    }
+    
+    /**
+     * Same as TriangulationEngine.finishRun
+     */
+    finish(status) {
+        const run = this.currentRun;
+        const callback = this.onComplete;
+        
+        this.isRunning = false;
+        this.currentRun = null;
+        this.onComplete = null;
+        if (!run) return;
+        
+        if (run.signal && run.onAbort) {
+            run.signal.removeEventListener('abort', run.onAbort);
+        }
+        
+        this.emit(status, { targetSection: run.targetSection });
+        if (callback) callback();
+        run.resolve({ status, targetSection: run.targetSection });
+    }
+    
+    stop() {
+        this.worker.postMessage({ type: 'stop' });
+        this.finish('cancelled');
+    }
+    
+    pause(reason = 'user') {
+        if (this.isDestroyed) return;
+        
+        const wasPaused = this.isPaused;
+        this.pauseReasons.add(reason);
+        if (wasPaused) return;
+        
+        cancelAnimationFrame(this.hueFrame);
+        this.worker.postMessage({ type: 'pause' });
+    }
+    
+    resume(reason = 'user') {
+        if (this.isDestroyed || !this.pauseReasons.delete(reason) || this.isPaused) return;
+        
+        this.animateHue();
+        this.worker.postMessage({ type: 'resume' });
+    }
+    
+    destroy() {
+        if (this.isDestroyed) return;
+        
+        this.stop();
+        this.pause('destroyed');
+        this.isDestroyed = true;
+        this.worker.postMessage({ type: 'destroy' });
+        window.removeEventListener('resize', this.onResize);
+        this.stopWatchingRatio();
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    }
+}
+
+/**
+ * Build the navigation overlay engine, in a worker when possible
+ * options.worker = false forces the main-thread TriangulationEngine
+ */
+function createOverlayEngine(canvas, options = {}) {
+    const supported = options.worker !== false &&
+        typeof Worker !== 'undefined' &&
+        typeof canvas.transferControlToOffscreen === 'function';
+    
+    if (supported) {
+        try {
+            return new OverlayWorkerEngine(canvas, options);
+        } catch (e) {
+            // Workers can be blocked (e.g. pages opened from file://)
+        }
+    }
+    
+    return new TriangulationEngine(canvas, options);
+}
+
+window.OverlayWorkerEngine = OverlayWorkerEngine;
+window.createOverlayEngine = createOverlayEngine;
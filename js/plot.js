@@ -0,0 +1,327 @@
+/**
+ * CODEFARM Plot
+ * Turns triangulation edges into pen-plotter friendly paths (SVG, HPGL, G-code)
+ * No DOM access - loads as a browser script or as a Node module
+ */
+
+/**
+ * Drop duplicate edges (same endpoints in either direction)
+ */
+function uniquePlotEdges(edges, precision = 2) {
+    const seen = new Set();
+    const unique = [];
+    const key = p => `${p.x.toFixed(precision)},${p.y.toFixed(precision)}`;
+
+    for (const edge of edges) {
+        const a = key(edge.p1);
+        const b = key(edge.p2);
+        if (a === b) continue;
+
+        const id = a < b ? `${a}|${b}` : `${b}|${a}`;
+        if (seen.has(id)) continue;
+
+        seen.add(id);
+        unique.push(edge);
+    }
+
+    return unique;
+}
+
+/**
+ * Chain edges into polylines so the pen stays down along connected edges,
+ * jumping to the nearest unfinished vertex when a chain runs out
+ * Returns an array of paths, each an array of { x, y } points
+ */
+function orderPlotPaths(edges, start = { x: 0, y: 0 }, precision = 2) {
+    const vertices = new Map();
+    const key = p => `${p.x.toFixed(precision)},${p.y.toFixed(precision)}`;
+
+    const vertexFor = p => {
+        const k = key(p);
+        if (!vertices.has(k)) {
+            vertices.set(k, { x: p.x, y: p.y, edges: [], remaining: 0 });
+        }
+        return vertices.get(k);
+    };
+
+    const links = uniquePlotEdges(edges, precision).map(edge => {
+        const link = { a: vertexFor(edge.p1), b: vertexFor(edge.p2), used: false };
+        link.a.edges.push(link);
+        link.b.edges.push(link);
+        link.a.remaining++;
+        link.b.remaining++;
+        return link;
+    });
+
+    const paths = [];
+    let pen = start;
+    let left = links.length;
+
+    while (left > 0) {
+        // Prefer odd-degree vertices: an open chain has to start at one of them
+        let best = null;
+        let bestDist = Infinity;
+        let bestOdd = false;
+
+        for (const vertex of vertices.values()) {
+            if (vertex.remaining === 0) continue;
+
+            const odd = vertex.remaining % 2 === 1;
+            const dist = Math.hypot(vertex.x - pen.x, vertex.y - pen.y);
+
+            if ((odd && !bestOdd) || (odd === bestOdd && dist < bestDist)) {
+                best = vertex;
+                bestDist = dist;
+                bestOdd = odd;
+            }
+        }
+
+        const path = [{ x: best.x, y: best.y }];
+        let current = best;
+
+        for (;;) {
+            const link = current.edges.find(l => !l.used);
+            if (!link) break;
+
+            link.used = true;
+            link.a.remaining--;
+            link.b.remaining--;
+            left--;
+
+            current = link.a === current ? link.b : link.a;
+            path.push({ x: current.x, y: current.y });
+        }
+
+        paths.push(path);
+        pen = current;
+    }
+
+    return paths;
+}
+
+/**
+ * Total pen-up travel for a list of ordered paths
+ */
+function penUpDistance(paths, start = { x: 0, y: 0 }) {
+    let pen = start;
+    let distance = 0;
+
+    for (const path of paths) {
+        distance += Math.hypot(path[0].x - pen.x, path[0].y - pen.y);
+        pen = path[path.length - 1];
+    }
+
+    return distance;
+}
+
+/**
+ * Escape text for an XML attribute value
+ */
+function escapeAttribute(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Write layers of edges as SVG
+ * layers  - [{ label, color, edges }], drawn as Inkscape layers when more than one
+ * options - { width, height, strokeWidth, precision, background }
+ */
+function plotToSVG(layers, options = {}) {
+    const {
+        width,
+        height,
+        strokeWidth = 1,
+        precision = 2,
+        background = null
+    } = options;
+
+    const num = n => Number(n.toFixed(precision));
+    const pathData = path => path
+        .map((p, i) => `${i === 0 ? 'M' : 'L'}${num(p.x)} ${num(p.y)}`)
+        .join(' ');
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ` +
+            `width="${num(width)}" height="${num(height)}" viewBox="0 0 ${num(width)} ${num(height)}">`
+    ];
+
+    if (background) {
+        lines.push(`  <rect width="100%" height="100%" fill="${escapeAttribute(background)}"/>`);
+    }
+
+    let pen = { x: 0, y: 0 };
+
+    layers.forEach((layer, index) => {
+        const paths = orderPlotPaths(layer.edges, pen, precision);
+        if (paths.length === 0) return;
+
+        const label = escapeAttribute(layer.label || `layer ${index + 1}`);
+        lines.push(
+            `  <g id="layer${index + 1}" inkscape:groupmode="layer" inkscape:label="${label}" ` +
+                `fill="none" stroke="${escapeAttribute(layer.color || '#000')}" stroke-width="${strokeWidth}" ` +
+                'stroke-linecap="round" stroke-linejoin="round">'
+        );
+        paths.forEach(path => lines.push(`    <path d="${pathData(path)}"/>`));
+        lines.push('  </g>');
+
+        const last = paths[paths.length - 1];
+        pen = last[last.length - 1];
+    });
+
+    lines.push('</svg>');
+    return lines.join('\n') + '\n';
+}
+
+// Paper sizes in millimetres, portrait
+const PAPER_SIZES = {
+    A5: { width: 148, height: 210 },
+    A4: { width: 210, height: 297 },
+    A3: { width: 297, height: 420 },
+    letter: { width: 215.9, height: 279.4 }
+};
+
+/**
+ * Order every layer and map it from canvas pixels onto paper in millimetres
+ * The drawing is scaled uniformly, centred inside the margins and flipped so
+ * that y points up, as plotters and CNC machines expect
+ * options - { width, height, paper, margin }
+ * The margin must leave room to draw: less than half the paper's shorter side
+ */
+function layoutOnPaper(layers, options = {}) {
+    const { width, height, margin = 10 } = options;
+    const paper = typeof options.paper === 'object' ? options.paper : (PAPER_SIZES[options.paper] || PAPER_SIZES.A4);
+
+    const maxMargin = Math.min(paper.width, paper.height) / 2;
+    if (!Number.isFinite(margin) || margin < 0 || margin >= maxMargin) {
+        throw new Error(`Invalid margin "${margin}" - expected at least 0 and less than ${maxMargin} mm for this paper`);
+    }
+
+    const scale = Math.min(
+        (paper.width - margin * 2) / width,
+        (paper.height - margin * 2) / height
+    );
+    const offsetX = (paper.width - width * scale) / 2;
+    const offsetY = (paper.height - height * scale) / 2;
+    const toPaper = p => ({
+        x: offsetX + p.x * scale,
+        y: paper.height - (offsetY + p.y * scale)
+    });
+
+    let pen = { x: 0, y: height };
+
+    return layers.map((layer, index) => {
+        const paths = orderPlotPaths(layer.edges, pen);
+        if (paths.length > 0) {
+            const last = paths[paths.length - 1];
+            pen = last[last.length - 1];
+        }
+
+        return {
+            label: layer.label || `layer ${index + 1}`,
+            paths: paths.map(path => path.map(toPaper))
+        };
+    });
+}
+
+/**
+ * Write layers as HPGL, one pen (SP1, SP2, ...) per layer
+ * 40 plotter units per millimetre
+ */
+function plotToHPGL(layers, options = {}) {
+    const unit = p => `${Math.round(p.x * 40)},${Math.round(p.y * 40)}`;
+    const commands = ['IN;'];
+
+    layoutOnPaper(layers, options).forEach((layer, index) => {
+        if (layer.paths.length === 0) return;
+
+        commands.push(`SP${index + 1};`);
+        layer.paths.forEach(path => {
+            commands.push(`PU${unit(path[0])};`);
+            commands.push(`PD${path.slice(1).map(unit).join(',')};`);
+        });
+    });
+
+    commands.push('PU0,0;', 'SP0;');
+    return commands.join('\n') + '\n';
+}
+
+/**
+ * Write layers as G-code for pen plotters and laser cutters
+ * options - { width, height, paper, margin, feedRate, travelRate,
+ *             penUp, penDown, pauseBetweenLayers }
+ * penUp / penDown are raw G-code lines, e.g. "M3 S0" / "M3 S90" for a servo
+ * pen lift or "G0 Z5" / "G1 Z0 F500" for a Z axis
+ */
+function plotToGCode(layers, options = {}) {
+    const {
+        feedRate = 1500,
+        travelRate = 3000,
+        penUp = 'G0 Z5',
+        penDown = 'G1 Z0 F500',
+        pauseBetweenLayers = false
+    } = options;
+
+    // F0 would stall the machine
+    [['feed rate', feedRate], ['travel rate', travelRate]].forEach(([name, rate]) => {
+        if (!Number.isFinite(rate) || rate <= 0) {
+            throw new Error(`Invalid ${name} "${rate}" - expected a number of mm/min above 0`);
+        }
+    });
+
+    const num = n => n.toFixed(3);
+    const lines = [
+        '; CODEFARM generative mesh',
+        'G21 ; millimetres',
+        'G90 ; absolute positioning',
+        penUp
+    ];
+
+    layoutOnPaper(layers, options)
+        .filter(layer => layer.paths.length > 0)
+        .forEach((layer, index) => {
+            lines.push(`; layer: ${layer.label}`);
+            if (pauseBetweenLayers && index > 0) {
+                lines.push('M0 ; change pen');
+            }
+
+            layer.paths.forEach(path => {
+                lines.push(`G0 X${num(path[0].x)} Y${num(path[0].y)} F${travelRate}`);
+                lines.push(penDown);
+                path.slice(1).forEach(p => {
+                    lines.push(`G1 X${num(p.x)} Y${num(p.y)} F${feedRate}`);
+                });
+                lines.push(penUp);
+            });
+        });
+
+    lines.push(`G0 X0 Y0 F${travelRate}`, 'M2');
+    return lines.join('\n') + '\n';
+}
+
+// Export for use (self is the window on the page and the global scope in a worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        uniquePlotEdges,
+        orderPlotPaths,
+        penUpDistance,
+        plotToSVG,
+        PAPER_SIZES,
+        layoutOnPaper,
+        plotToHPGL,
+        plotToGCode
+    };
+} else {
+    self.uniquePlotEdges = uniquePlotEdges;
+    self.orderPlotPaths = orderPlotPaths;
+    self.penUpDistance = penUpDistance;
+    self.plotToSVG = plotToSVG;
+    self.PAPER_SIZES = PAPER_SIZES;
+    self.layoutOnPaper = layoutOnPaper;
+    self.plotToHPGL = plotToHPGL;
+    self.plotToGCode = plotToGCode;
+}
@@ -0,0 +1,121 @@
+/**
+ * CODEFARM Quality
+ * Adaptive rendering quality for the glowing edges. A QualityManager watches
+ * frame times and steps between tiers, which the renderers (renderer.js) draw as:
+ *   full   - gradient stroke three times with shadow blur (the original look)
+ *   sprite - cached pre-blurred glow sprite under a single gradient stroke
+ *   plain  - plain lines in one batched path
+ */
+
+const QUALITY_TIERS = ['full', 'sprite', 'plain'];
+
+class QualityManager {
+    /**
+     * options.tier - force a tier from the start (adaptive when omitted)
+     * options.onChange - called with the new tier whenever it changes
+     * options.slowFrame / options.fastFrame - average frame times (ms) that
+     *                    step down / up a tier
+     */
+    constructor(options = {}) {
+        this.index = 0;
+        this.forced = null;
+        this.onChange = options.onChange || null;
+
+        this.slowFrame = options.slowFrame || 1000 / 40;
+        this.fastFrame = options.fastFrame || 1000 / 55;
+        this.sampleSize = 30;
+        this.upgradeAfter = 4; // Good sample windows in a row before stepping up
+
+        // Highest tier allowed again after an upgrade turned out too slow
+        this.ceiling = 0;
+        this.justUpgraded = false;
+
+        this.samples = [];
+        this.goodWindows = 0;
+        this.lastFrame = null;
+
+        if (options.tier) {
+            this.force(options.tier);
+        }
+    }
+
+    get tier() {
+        return this.forced || QUALITY_TIERS[this.index];
+    }
+
+    /**
+     * Pin a tier (for debugging), or pass null to go back to adaptive
+     */
+    force(tier) {
+        if (tier !== null && !QUALITY_TIERS.includes(tier)) {
+            throw new Error(`Invalid quality tier "${tier}" - expected one of ${QUALITY_TIERS.join(', ')}`);
+        }
+
+        const previous = this.tier;
+        this.forced = tier;
+        this.samples = [];
+        this.lastFrame = null;
+        this.changed(previous);
+    }
+
+    /**
+     * Record a drawn frame at time `now` (ms)
+     * Gaps longer than a quarter second (paused, hidden, between runs) are ignored
+     */
+    frame(now) {
+        const last = this.lastFrame;
+        this.lastFrame = now;
+        if (last === null || this.forced) return;
+
+        const delta = now - last;
+        if (delta <= 0 || delta > 250) return;
+
+        this.samples.push(delta);
+        if (this.samples.length < this.sampleSize) return;
+
+        const average = this.samples.reduce((sum, value) => sum + value, 0) / this.samples.length;
+        this.samples = [];
+        this.evaluate(average);
+    }
+
+    evaluate(average) {
+        const previous = this.tier;
+
+        if (average > this.slowFrame && this.index < QUALITY_TIERS.length - 1) {
+            // An upgrade that could not hold its frame rate is not retried
+            if (this.justUpgraded) {
+                this.ceiling = this.index + 1;
+            }
+            this.index++;
+            this.goodWindows = 0;
+        } else if (average < this.fastFrame && this.index > this.ceiling) {
+            this.goodWindows++;
+            if (this.goodWindows >= this.upgradeAfter) {
+                this.index--;
+                this.goodWindows = 0;
+                this.justUpgraded = true;
+                this.changed(previous);
+                return;
+            }
+        } else {
+            this.goodWindows = 0;
+        }
+
+        this.justUpgraded = false;
+        this.changed(previous);
+    }
+
+    changed(previous) {
+        if (this.tier !== previous && this.onChange) {
+            this.onChange(this.tier);
+        }
+    }
+}
+
+// Export for use (self is the window on the page and the global scope in a worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QUALITY_TIERS, QualityManager };
+} else {
+    self.QUALITY_TIERS = QUALITY_TIERS;
+    self.QualityManager = QualityManager;
+}
@@ -0,0 +1,63 @@
+/**
+ * CODEFARM Random
+ * Seeded pseudo-random numbers so formations can be replayed and shared
+ * No DOM access - loads as a browser script or as a Node module
+ */
+
+/**
+ * Turn a seed (number or string) into an unsigned 32-bit integer
+ * Integer strings map to the same value as the number, so ?seed=42 equals seed 42
+ */
+function hashSeed(seed) {
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a deterministic replacement for Math.random (mulberry32)
+ * Without a seed a fresh one is picked; either way it is exposed as random.seed
+ */
+function createRandom(seed) {
+    if (seed === undefined || seed === null || seed === '') {
+        seed = Math.floor(Math.random() * 0x100000000);
+    }
+
+    let state = hashSeed(seed);
+
+    const random = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.seed = seed;
+
+    return random;
+}
+
+/**
+ * Read the ?seed= URL parameter, or null when it is absent
+ */
+function seedFromLocation(search) {
+    const params = new URLSearchParams(search);
+    const seed = params.get('seed');
+    return seed === null || seed === '' ? null : seed;
+}
+
+// Export for use (self is the window on the page and the global scope in a worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createRandom, hashSeed, seedFromLocation };
+} else {
+    self.createRandom = createRandom;
+    self.hashSeed = hashSeed;
+    self.seedFromLocation = seedFromLocation;
+}
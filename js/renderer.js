@@ -0,0 +1,813 @@
+/**
+ * CODEFARM Renderers
+ * The engines draw through a small renderer interface so the backend can be
+ * picked at construction:
+ *   resize(width, height, ratio)  - size in CSS pixels and device pixels per
+ *                                   CSS pixel; everything is drawn in CSS pixels
+ *   clear()                       - wipe the canvas
+ *   setAlpha(alpha)               - global opacity for everything drawn next
+ *   drawEdges(edges, tier, style) - glowing edges [{ p1, p2, hue, alpha }],
+ *                                   each with a gradient from hue to hue + 120
+ *                                   style - { blur: [outer, inner], widths: [outer, inner, core] }
+ *   drawDots(dots, tier, style)   - dots [{ x, y, hue, alpha }]
+ *                                   style - { radius, blur, lightness }
+ *   fillTriangles(triangles, style) - triangles [{ points, hue, alpha }]
+ *                                   style - { lightness }
+ *   strokeLines(lines, style)     - solid lines [{ p1, p2 }] in one batch
+ *                                   style - { width, rgb: [r, g, b] (0-255), alpha }
+ * Canvas2DRenderer is the original look; WebGLRenderer draws the edges as
+ * instanced quads with the glow computed in the fragment shader.
+ */
+
+const RENDERER_BACKENDS = ['auto', 'webgl', 'canvas2d'];
+
+/**
+ * A canvas that is never put on the page (an OffscreenCanvas where supported)
+ */
+function createOffscreenCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+class Canvas2DRenderer {
+    constructor(canvas, ctx = canvas.getContext('2d')) {
+        this.backend = 'canvas2d';
+        this.canvas = canvas;
+        this.ctx = ctx;
+        this.width = canvas.width;
+        this.height = canvas.height;
+        this.ratio = 1;
+
+        // Pre-blurred glow sprites, one per 15 degree hue bucket and edge style
+        this.glowSprites = new Map();
+    }
+
+    resize(width, height, ratio = 1) {
+        this.width = width;
+        this.height = height;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+
+        // Resizing resets the context, so scale it to CSS pixels again
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+        if (ratio !== this.ratio) {
+            this.ratio = ratio;
+            this.glowSprites.clear();
+        }
+    }
+
+    clear() {
+        this.ctx.clearRect(0, 0, this.width, this.height);
+    }
+
+    setAlpha(alpha) {
+        this.ctx.globalAlpha = alpha;
+    }
+
+    /**
+     * A horizontal blurred bar; the glowing part runs from `pad` to width - pad
+     * Sizes are in CSS pixels; the bitmap has the device resolution
+     */
+    getGlowSprite(hue, blur, lineWidth) {
+        const bucket = Math.round((((hue % 360) + 360) % 360) / 15) % 24;
+        const key = `${bucket}:${blur}:${lineWidth}`;
+
+        if (!this.glowSprites.has(key)) {
+            const pad = blur * 2;
+            const width = 64 + pad * 2;
+            const height = Math.ceil(pad * 2 + lineWidth);
+            const canvas = createOffscreenCanvas(Math.ceil(width * this.ratio), Math.ceil(height * this.ratio));
+            const ctx = canvas.getContext('2d');
+
+            ctx.scale(this.ratio, this.ratio);
+            ctx.shadowBlur = blur * this.ratio;
+            ctx.shadowColor = `hsl(${bucket * 15}, 100%, 50%)`;
+            ctx.strokeStyle = `hsla(${bucket * 15}, 100%, 60%, 0.6)`;
+            ctx.lineWidth = lineWidth;
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            ctx.moveTo(pad, height / 2);
+            ctx.lineTo(width - pad, height / 2);
+            ctx.stroke();
+
+            this.glowSprites.set(key, { canvas, pad, width, height });
+        }
+
+        return this.glowSprites.get(key);
+    }
+
+    drawEdges(edges, tier, style) {
+        const ctx = this.ctx;
+        const { blur, widths } = style;
+
+        if (tier === 'plain') {
+            // One colour and one stroke per alpha step (tenths), so fading
+            // edges still fade; invisible ones are skipped
+            if (edges.length === 0) return;
+
+            const batches = new Map();
+            edges.forEach(edge => {
+                const step = Math.round(Math.min(1, edge.alpha ?? 1) * 10);
+                if (step <= 0) return;
+                if (!batches.has(step)) batches.set(step, []);
+                batches.get(step).push(edge);
+            });
+
+            ctx.save();
+            ctx.lineWidth = widths[2];
+            batches.forEach((batch, step) => {
+                ctx.strokeStyle = `hsla(${edges[0].hue % 360}, 100%, 60%, ${0.9 * step / 10})`;
+                ctx.beginPath();
+                batch.forEach(edge => {
+                    ctx.moveTo(edge.p1.x, edge.p1.y);
+                    ctx.lineTo(edge.p2.x, edge.p2.y);
+                });
+                ctx.stroke();
+            });
+            ctx.restore();
+            return;
+        }
+
+        edges.forEach(edge => {
+            const { p1, p2, alpha } = edge;
+            const hue1 = edge.hue % 360;
+            const hue2 = (edge.hue + 60) % 360;
+            const hue3 = (edge.hue + 120) % 360;
+
+            const gradient = ctx.createLinearGradient(p1.x, p1.y, p2.x, p2.y);
+            gradient.addColorStop(0, `hsla(${hue1}, 100%, 60%, ${alpha})`);
+            gradient.addColorStop(0.5, `hsla(${hue2}, 100%, 60%, ${alpha})`);
+            gradient.addColorStop(1, `hsla(${hue3}, 100%, 60%, ${alpha})`);
+
+            // Use average hue for the glow
+            const avgHue = (hue1 + hue2 + hue3) / 3;
+
+            ctx.save();
+
+            if (tier === 'sprite') {
+                const length = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+                const sprite = this.getGlowSprite(avgHue, blur[0], widths[0]);
+                const scale = length / (sprite.width - sprite.pad * 2);
+
+                ctx.save();
+                ctx.globalAlpha *= alpha;
+                ctx.translate(p1.x, p1.y);
+                ctx.rotate(Math.atan2(p2.y - p1.y, p2.x - p1.x));
+                ctx.drawImage(sprite.canvas, -sprite.pad * scale, -sprite.height / 2, sprite.width * scale, sprite.height);
+                ctx.restore();
+
+                ctx.strokeStyle = gradient;
+                ctx.lineWidth = widths[1];
+                ctx.beginPath();
+                ctx.moveTo(p1.x, p1.y);
+                ctx.lineTo(p2.x, p2.y);
+                ctx.stroke();
+            } else {
+                // Outer glow (shadows ignore the transform, so scale them here)
+                ctx.shadowBlur = blur[0] * this.ratio;
+                ctx.shadowColor = `hsl(${avgHue}, 100%, 50%)`;
+                ctx.strokeStyle = gradient;
+                ctx.lineWidth = widths[0];
+                ctx.beginPath();
+                ctx.moveTo(p1.x, p1.y);
+                ctx.lineTo(p2.x, p2.y);
+                ctx.stroke();
+
+                // Inner bright line
+                ctx.shadowBlur = blur[1] * this.ratio;
+                ctx.lineWidth = widths[1];
+                ctx.beginPath();
+                ctx.moveTo(p1.x, p1.y);
+                ctx.lineTo(p2.x, p2.y);
+                ctx.stroke();
+
+                // Core bright line
+                ctx.shadowBlur = 0;
+                ctx.lineWidth = widths[2];
+                ctx.beginPath();
+                ctx.moveTo(p1.x, p1.y);
+                ctx.lineTo(p2.x, p2.y);
+                ctx.stroke();
+            }
+
+            ctx.restore();
+        });
+    }
+
+    drawDots(dots, tier, style) {
+        const ctx = this.ctx;
+        const { radius, blur = 0, lightness = 50 } = style;
+
+        dots.forEach(dot => {
+            ctx.save();
+            ctx.shadowBlur = tier === 'full' ? blur * this.ratio : 0;
+            ctx.shadowColor = `hsl(${dot.hue}, 100%, 50%)`;
+
+            ctx.beginPath();
+            ctx.arc(dot.x, dot.y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = `hsla(${dot.hue}, 100%, ${lightness}%, ${dot.alpha})`;
+            ctx.fill();
+
+            ctx.restore();
+        });
+    }
+
+    fillTriangles(triangles, style) {
+        const ctx = this.ctx;
+        const { lightness = 50 } = style;
+
+        triangles.forEach(tri => {
+            const [p1, p2, p3] = tri.points;
+            ctx.fillStyle = `hsla(${tri.hue % 360}, 100%, ${lightness}%, ${tri.alpha})`;
+            ctx.beginPath();
+            ctx.moveTo(p1.x, p1.y);
+            ctx.lineTo(p2.x, p2.y);
+            ctx.lineTo(p3.x, p3.y);
+            ctx.closePath();
+            ctx.fill();
+        });
+    }
+
+    strokeLines(lines, style) {
+        if (lines.length === 0) return;
+
+        const ctx = this.ctx;
+        const { width, rgb, alpha = 1 } = style;
+
+        ctx.save();
+        ctx.strokeStyle = `rgba(${rgb[0]}, ${rgb[1]}, ${rgb[2]}, ${alpha})`;
+        ctx.lineWidth = width;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        lines.forEach(line => {
+            ctx.moveTo(line.p1.x, line.p1.y);
+            ctx.lineTo(line.p2.x, line.p2.y);
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+// Shared by all WebGL programs: hue in degrees, saturation 100%
+const GLSL_HSL = `
+vec3 hsl(float h, float l) {
+    vec3 rgb = clamp(abs(mod(h / 60.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+    return l + (rgb - 0.5) * (1.0 - abs(2.0 * l - 1.0));
+}
+`;
+
+// One quad per edge, stretched along it and widened by the glow radius
+const EDGE_VERTEX_SHADER = `#version 300 es
+in vec2 a_corner;
+in vec2 a_p1;
+in vec2 a_p2;
+in float a_hue;
+in float a_alpha;
+uniform vec2 u_resolution;
+uniform float u_extent;
+out vec2 v_local;
+out float v_length;
+out float v_hue;
+out float v_alpha;
+
+void main() {
+    vec2 dir = a_p2 - a_p1;
+    float len = max(length(dir), 0.0001);
+    vec2 tangent = dir / len;
+    vec2 normal = vec2(-tangent.y, tangent.x);
+
+    // Local coordinates: x along the edge (0..len plus the caps), y across it
+    v_local = vec2(mix(-u_extent, len + u_extent, a_corner.x), a_corner.y * u_extent);
+    v_length = len;
+    v_hue = a_hue;
+    v_alpha = a_alpha;
+
+    vec2 position = a_p1 + tangent * v_local.x + normal * v_local.y;
+    vec2 clip = position / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}
+`;
+
+const EDGE_FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+in vec2 v_local;
+in float v_length;
+in float v_hue;
+in float v_alpha;
+uniform float u_core;
+uniform float u_glow;
+uniform float u_glowStrength;
+uniform float u_globalAlpha;
+uniform vec4 u_color;
+out vec4 outColor;
+${GLSL_HSL}
+void main() {
+    // Distance from the segment, with round caps
+    float beyond = max(max(-v_local.x, v_local.x - v_length), 0.0);
+    float d = length(vec2(beyond, v_local.y));
+
+    float core = 1.0 - smoothstep(u_core - 0.75, u_core + 0.75, d);
+    float glow = u_glowStrength * exp(-(d * d) / (u_glow * u_glow * 0.5)) * 0.6;
+
+    // Gradient from hue to hue + 120 along the edge
+    float hue = v_hue + 120.0 * clamp(v_local.x / v_length, 0.0, 1.0);
+    vec3 color = mix(hsl(hue, 0.5), hsl(hue, 0.6), core);
+
+    // A solid colour (u_color.a > 0) replaces the gradient, e.g. for leading
+    if (u_color.a > 0.0) {
+        color = u_color.rgb;
+    }
+
+    float alpha = max(core, glow) * v_alpha * u_globalAlpha;
+    outColor = vec4(color * alpha, alpha);
+}
+`;
+
+const DOT_VERTEX_SHADER = `#version 300 es
+in vec2 a_corner;
+in vec2 a_center;
+in float a_hue;
+in float a_alpha;
+uniform vec2 u_resolution;
+uniform float u_extent;
+out vec2 v_local;
+out float v_hue;
+out float v_alpha;
+
+void main() {
+    v_local = a_corner * u_extent;
+    v_hue = a_hue;
+    v_alpha = a_alpha;
+
+    vec2 clip = (a_center + v_local) / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}
+`;
+
+const DOT_FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+in vec2 v_local;
+in float v_hue;
+in float v_alpha;
+uniform float u_radius;
+uniform float u_glow;
+uniform float u_glowStrength;
+uniform float u_lightness;
+uniform float u_globalAlpha;
+out vec4 outColor;
+${GLSL_HSL}
+void main() {
+    float d = length(v_local);
+    float core = 1.0 - smoothstep(u_radius - 0.75, u_radius + 0.75, d);
+    float glow = u_glowStrength * exp(-(d * d) / (u_glow * u_glow * 0.5)) * 0.6;
+
+    vec3 color = mix(hsl(v_hue, 0.5), hsl(v_hue, u_lightness), core);
+    float alpha = max(core, glow) * v_alpha * u_globalAlpha;
+    outColor = vec4(color * alpha, alpha);
+}
+`;
+
+const TRIANGLE_VERTEX_SHADER = `#version 300 es
+in vec2 a_position;
+in float a_hue;
+in float a_alpha;
+uniform vec2 u_resolution;
+out float v_hue;
+out float v_alpha;
+
+void main() {
+    v_hue = a_hue;
+    v_alpha = a_alpha;
+
+    vec2 clip = a_position / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+}
+`;
+
+const TRIANGLE_FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+in float v_hue;
+in float v_alpha;
+uniform float u_lightness;
+uniform float u_globalAlpha;
+out vec4 outColor;
+${GLSL_HSL}
+void main() {
+    float alpha = v_alpha * u_globalAlpha;
+    outColor = vec4(hsl(v_hue, u_lightness) * alpha, alpha);
+}
+`;
+
+class WebGLRenderer {
+    constructor(canvas, gl) {
+        this.backend = 'webgl';
+        this.canvas = canvas;
+        this.gl = gl;
+        this.alpha = 1;
+        this.width = canvas.width;
+        this.height = canvas.height;
+        this.lost = false;
+
+        this.setup();
+
+        // A lost context (GPU reset, too many contexts) draws nothing until
+        // the browser gives it back; everything on the GPU is then rebuilt
+        if (canvas.addEventListener) {
+            canvas.addEventListener('webglcontextlost', (e) => {
+                e.preventDefault(); // Ask for it back
+                this.lost = true;
+            });
+            canvas.addEventListener('webglcontextrestored', () => {
+                try {
+                    this.setup();
+                    this.lost = false;
+                } catch (error) {
+                    console.warn(`[codefarm] WebGL could not be restored: ${error.message}`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Programs, buffers and blending; run again after a lost context
+     */
+    setup() {
+        const gl = this.gl;
+
+        this.edgeProgram = this.createProgram(EDGE_VERTEX_SHADER, EDGE_FRAGMENT_SHADER,
+            ['a_corner', 'a_p1', 'a_p2', 'a_hue', 'a_alpha'],
+            ['u_resolution', 'u_extent', 'u_core', 'u_glow', 'u_glowStrength', 'u_globalAlpha', 'u_color']);
+        this.dotProgram = this.createProgram(DOT_VERTEX_SHADER, DOT_FRAGMENT_SHADER,
+            ['a_corner', 'a_center', 'a_hue', 'a_alpha'],
+            ['u_resolution', 'u_extent', 'u_radius', 'u_glow', 'u_glowStrength', 'u_lightness', 'u_globalAlpha']);
+        this.triangleProgram = this.createProgram(TRIANGLE_VERTEX_SHADER, TRIANGLE_FRAGMENT_SHADER,
+            ['a_position', 'a_hue', 'a_alpha'],
+            ['u_resolution', 'u_lightness', 'u_globalAlpha']);
+
+        // Unit quad as a triangle strip: x runs along, y across (-1..1)
+        this.cornerBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, -1, 1, -1, 0, 1, 1, 1]), gl.STATIC_DRAW);
+
+        this.edgeVAO = this.createInstancedVAO(this.edgeProgram, [['a_p1', 2], ['a_p2', 2], ['a_hue', 1], ['a_alpha', 1]]);
+        this.dotVAO = this.createInstancedVAO(this.dotProgram, [['a_center', 2], ['a_hue', 1], ['a_alpha', 1]]);
+        this.triangleVAO = this.createVertexVAO(this.triangleProgram, [['a_position', 2], ['a_hue', 1], ['a_alpha', 1]]);
+
+        // Premultiplied output, matching the default canvas compositing
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    }
+
+    createShader(type, source) {
+        const gl = this.gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const log = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            throw new Error(`WebGL shader failed to compile: ${log}`);
+        }
+        return shader;
+    }
+
+    createProgram(vertexSource, fragmentSource, attributes, uniforms) {
+        const gl = this.gl;
+        const program = gl.createProgram();
+        gl.attachShader(program, this.createShader(gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, this.createShader(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`WebGL program failed to link: ${gl.getProgramInfoLog(program)}`);
+        }
+
+        const locations = { program, attributes: {}, uniforms: {} };
+        attributes.forEach(name => { locations.attributes[name] = gl.getAttribLocation(program, name); });
+        uniforms.forEach(name => { locations.uniforms[name] = gl.getUniformLocation(program, name); });
+        return locations;
+    }
+
+    /**
+     * Vertex array with the shared quad corners plus one interleaved
+     * per-instance buffer laid out as `layout` ([name, size] pairs)
+     */
+    createInstancedVAO(program, layout) {
+        const gl = this.gl;
+        const vao = gl.createVertexArray();
+        const buffer = gl.createBuffer();
+        const stride = layout.reduce((sum, [, size]) => sum + size, 0);
+
+        gl.bindVertexArray(vao);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+        gl.enableVertexAttribArray(program.attributes.a_corner);
+        gl.vertexAttribPointer(program.attributes.a_corner, 2, gl.FLOAT, false, 0, 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        let offset = 0;
+        layout.forEach(([name, size]) => {
+            const location = program.attributes[name];
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride * 4, offset * 4);
+            gl.vertexAttribDivisor(location, 1);
+            offset += size;
+        });
+
+        gl.bindVertexArray(null);
+        return { vao, buffer, stride, data: new Float32Array(0) };
+    }
+
+    /**
+     * Vertex array with one interleaved per-vertex buffer
+     */
+    createVertexVAO(program, layout) {
+        const gl = this.gl;
+        const vao = gl.createVertexArray();
+        const buffer = gl.createBuffer();
+        const stride = layout.reduce((sum, [, size]) => sum + size, 0);
+
+        gl.bindVertexArray(vao);
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        let offset = 0;
+        layout.forEach(([name, size]) => {
+            const location = program.attributes[name];
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride * 4, offset * 4);
+            offset += size;
+        });
+
+        gl.bindVertexArray(null);
+        return { vao, buffer, stride, data: new Float32Array(0) };
+    }
+
+    /**
+     * Grow the batch array when needed and upload `count` instances or vertices
+     */
+    upload(batch, count, fill) {
+        const gl = this.gl;
+        const length = count * batch.stride;
+        if (batch.data.length < length) {
+            batch.data = new Float32Array(Math.max(length, batch.data.length * 2));
+        }
+
+        fill(batch.data);
+        gl.bindBuffer(gl.ARRAY_BUFFER, batch.buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, batch.data.subarray(0, length), gl.DYNAMIC_DRAW);
+    }
+
+    /**
+     * The drawing buffer gets device pixels; u_resolution stays in CSS
+     * pixels, so the shaders need no scaling
+     */
+    resize(width, height, ratio = 1) {
+        this.width = width;
+        this.height = height;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+    }
+
+    clear() {
+        if (this.lost) return;
+
+        const gl = this.gl;
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+
+    setAlpha(alpha) {
+        this.alpha = alpha;
+    }
+
+    drawEdges(edges, tier, style) {
+        if (this.lost || edges.length === 0) return;
+
+        const gl = this.gl;
+        const program = this.edgeProgram;
+        const { blur, widths } = style;
+        const glow = tier === 'plain' ? 0 : blur[0];
+        const core = (tier === 'plain' ? widths[2] : widths[1]) / 2;
+
+        this.upload(this.edgeVAO, edges.length, data => {
+            edges.forEach((edge, i) => {
+                const k = i * 6;
+                data[k] = edge.p1.x;
+                data[k + 1] = edge.p1.y;
+                data[k + 2] = edge.p2.x;
+                data[k + 3] = edge.p2.y;
+                data[k + 4] = edge.hue % 360;
+                data[k + 5] = edge.alpha;
+            });
+        });
+
+        gl.useProgram(program.program);
+        gl.uniform2f(program.uniforms.u_resolution, this.width, this.height);
+        gl.uniform1f(program.uniforms.u_extent, core + glow * 2 + 1);
+        gl.uniform1f(program.uniforms.u_core, core);
+        gl.uniform1f(program.uniforms.u_glow, Math.max(glow, 1));
+        gl.uniform1f(program.uniforms.u_glowStrength, glow > 0 ? 1 : 0);
+        gl.uniform1f(program.uniforms.u_globalAlpha, this.alpha);
+        gl.uniform4f(program.uniforms.u_color, 0, 0, 0, 0);
+
+        gl.bindVertexArray(this.edgeVAO.vao);
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, edges.length);
+        gl.bindVertexArray(null);
+    }
+
+    drawDots(dots, tier, style) {
+        if (this.lost || dots.length === 0) return;
+
+        const gl = this.gl;
+        const program = this.dotProgram;
+        const { radius, blur = 0, lightness = 50 } = style;
+        const glow = tier === 'full' ? blur : 0;
+
+        this.upload(this.dotVAO, dots.length, data => {
+            dots.forEach((dot, i) => {
+                const k = i * 4;
+                data[k] = dot.x;
+                data[k + 1] = dot.y;
+                data[k + 2] = dot.hue % 360;
+                data[k + 3] = dot.alpha;
+            });
+        });
+
+        gl.useProgram(program.program);
+        gl.uniform2f(program.uniforms.u_resolution, this.width, this.height);
+        gl.uniform1f(program.uniforms.u_extent, radius + glow * 2 + 1);
+        gl.uniform1f(program.uniforms.u_radius, radius);
+        gl.uniform1f(program.uniforms.u_glow, Math.max(glow, 1));
+        gl.uniform1f(program.uniforms.u_glowStrength, glow > 0 ? 1 : 0);
+        gl.uniform1f(program.uniforms.u_lightness, lightness / 100);
+        gl.uniform1f(program.uniforms.u_globalAlpha, this.alpha);
+
+        gl.bindVertexArray(this.dotVAO.vao);
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, dots.length);
+        gl.bindVertexArray(null);
+    }
+
+    fillTriangles(triangles, style) {
+        if (this.lost || triangles.length === 0) return;
+
+        const gl = this.gl;
+        const program = this.triangleProgram;
+        const { lightness = 50 } = style;
+
+        this.upload(this.triangleVAO, triangles.length * 3, data => {
+            triangles.forEach((tri, i) => {
+                tri.points.forEach((p, corner) => {
+                    const k = (i * 3 + corner) * 4;
+                    data[k] = p.x;
+                    data[k + 1] = p.y;
+                    data[k + 2] = tri.hue % 360;
+                    data[k + 3] = tri.alpha;
+                });
+            });
+        });
+
+        gl.useProgram(program.program);
+        gl.uniform2f(program.uniforms.u_resolution, this.width, this.height);
+        gl.uniform1f(program.uniforms.u_lightness, lightness / 100);
+        gl.uniform1f(program.uniforms.u_globalAlpha, this.alpha);
+
+        gl.bindVertexArray(this.triangleVAO.vao);
+        gl.drawArrays(gl.TRIANGLES, 0, triangles.length * 3);
+        gl.bindVertexArray(null);
+    }
+
+    /**
+     * Solid lines reuse the edge quads with the glow off and a fixed colour
+     */
+    strokeLines(lines, style) {
+        if (this.lost || lines.length === 0) return;
+
+        const gl = this.gl;
+        const program = this.edgeProgram;
+        const { width, rgb, alpha = 1 } = style;
+
+        this.upload(this.edgeVAO, lines.length, data => {
+            lines.forEach((line, i) => {
+                const k = i * 6;
+                data[k] = line.p1.x;
+                data[k + 1] = line.p1.y;
+                data[k + 2] = line.p2.x;
+                data[k + 3] = line.p2.y;
+                data[k + 4] = 0;
+                data[k + 5] = alpha;
+            });
+        });
+
+        gl.useProgram(program.program);
+        gl.uniform2f(program.uniforms.u_resolution, this.width, this.height);
+        gl.uniform1f(program.uniforms.u_extent, width / 2 + 1);
+        gl.uniform1f(program.uniforms.u_core, width / 2);
+        gl.uniform1f(program.uniforms.u_glow, 1);
+        gl.uniform1f(program.uniforms.u_glowStrength, 0);
+        gl.uniform1f(program.uniforms.u_globalAlpha, this.alpha);
+        gl.uniform4f(program.uniforms.u_color, rgb[0] / 255, rgb[1] / 255, rgb[2] / 255, 1);
+
+        gl.bindVertexArray(this.edgeVAO.vao);
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, lines.length);
+        gl.bindVertexArray(null);
+    }
+}
+
+/**
+ * Call `callback(ratio)` whenever window.devicePixelRatio changes, e.g. when
+ * the window moves to another monitor or the page is zoomed
+ * Returns a function that stops watching
+ */
+function watchPixelRatio(callback) {
+    let query = null;
+
+    // A resolution query only reports leaving the current ratio, so it is
+    // replaced after every change
+    const onChange = () => {
+        listen();
+        callback(window.devicePixelRatio || 1);
+    };
+    const listen = () => {
+        query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        query.addEventListener('change', onChange, { once: true });
+    };
+
+    listen();
+    return () => query.removeEventListener('change', onChange);
+}
+
+// Whether a WebGLRenderer builds here, found out once by webglWorks()
+let webglSupport = null;
+
+/**
+ * Build a WebGLRenderer on a throwaway canvas first, so shaders that fail to
+ * compile are found before a page canvas is committed to WebGL (a canvas
+ * that has handed out a WebGL context can never draw in 2D)
+ */
+function webglWorks() {
+    if (webglSupport !== null) return webglSupport;
+
+    const probe = createOffscreenCanvas(1, 1);
+    const gl = probe.getContext('webgl2', { premultipliedAlpha: true, antialias: true });
+    if (!gl) return false;
+
+    try {
+        new WebGLRenderer(probe, gl);
+        webglSupport = true;
+    } catch (error) {
+        console.warn(`[codefarm] WebGL unavailable, drawing in 2D: ${error.message}`);
+        webglSupport = false;
+    }
+
+    // Free the probe's context straight away
+    const context = gl.getExtension('WEBGL_lose_context');
+    if (context && context.loseContext) context.loseContext();
+    return webglSupport;
+}
+
+/**
+ * Pick a renderer for `canvas`
+ * backend - 'webgl', 'canvas2d' or 'auto' (WebGL when the browser has
+ *           WebGL 2 and the shaders build, Canvas 2D otherwise)
+ */
+function createRenderer(canvas, backend = 'auto') {
+    if (!RENDERER_BACKENDS.includes(backend)) {
+        throw new Error(`Invalid renderer "${backend}" - expected one of ${RENDERER_BACKENDS.join(', ')}`);
+    }
+
+    if (backend !== 'canvas2d' && webglWorks()) {
+        const gl = canvas.getContext('webgl2', { premultipliedAlpha: true, antialias: true });
+        if (gl) {
+            try {
+                return new WebGLRenderer(canvas, gl);
+            } catch (error) {
+                // This canvas is now WebGL and may have no 2D context to fall back to
+                console.warn(`[codefarm] WebGL renderer failed: ${error.message}`);
+                if (!canvas.getContext('2d')) throw error;
+            }
+        }
+    }
+
+    return new Canvas2DRenderer(canvas);
+}
+
+// Export for use (self is the window on the page and the global scope in a worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RENDERER_BACKENDS, Canvas2DRenderer, WebGLRenderer, createRenderer, createOffscreenCanvas, watchPixelRatio };
+} else {
+    self.RENDERER_BACKENDS = RENDERER_BACKENDS;
+    self.createOffscreenCanvas = createOffscreenCanvas;
+    self.Canvas2DRenderer = Canvas2DRenderer;
+    self.WebGLRenderer = WebGLRenderer;
+    self.createRenderer = createRenderer;
+    self.watchPixelRatio = watchPixelRatio;
+}
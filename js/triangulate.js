@@ -4,202 +4,526 @@
  * Adapted from logo/sketch.js
  */
 
-class TriangulationEngine {
-    constructor(canvas) {
+// How revealed triangles are drawn
+//   outline       - glowing gradient edges (the original look)
+//   filled        - every triangle filled with its own hue
+//   stained-glass - brighter fills separated by dark leading
+//   wireframe     - thin glowing edges with vertex dots, like the hero logo
+//   voronoi       - the dual: Voronoi cells growing out from the click
+const TRIANGLE_RENDER_MODES = ['outline', 'filled', 'stained-glass', 'wireframe', 'voronoi'];
+
+// Order in which the pieces of a reveal start growing (see assignRevealDelays)
+const REVEAL_STRATEGIES = ['radial', 'flood', 'sweep', 'random'];
+
+function validateRenderMode(mode) {
+    if (!TRIANGLE_RENDER_MODES.includes(mode)) {
+        throw new Error(`Invalid render mode "${mode}" - expected one of ${TRIANGLE_RENDER_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+function validateReveal(strategy) {
+    if (!REVEAL_STRATEGIES.includes(strategy)) {
+        throw new Error(`Invalid reveal "${strategy}" - expected one of ${REVEAL_STRATEGIES.join(', ')}`);
+    }
+    return strategy;
+}
+
+function validateEdges(edges) {
+    if (!LIFE_EDGE_MODES.includes(edges)) {
+        throw new Error(`Invalid edges "${edges}" - expected one of ${LIFE_EDGE_MODES.join(', ')}`);
+    }
+    return edges;
+}
+
+// Phases of a navigation reveal, emitted in this order ('generation' once per
+// step, 'piece:start' as each piece starts growing); a run ends with either
+// 'done' or 'cancelled'
+const REVEAL_EVENTS = ['simulate:start', 'generation', 'triangulate', 'piece:start', 'hold', 'fade', 'done', 'cancelled'];
+
+/**
+ * Area of a simple polygon (shoelace formula)
+ */
+function polygonArea(points) {
+    let twice = 0;
+    points.forEach((p, i) => {
+        const q = points[(i + 1) % points.length];
+        twice += p.x * q.y - q.x * p.y;
+    });
+    return Math.abs(twice) / 2;
+}
+
+/**
+ * Minimal event emitter for the reveal phases
+ */
+class RevealEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+    
+    /**
+     * Call `listener(detail)` on every `type` event; returns an unsubscribe function
+     */
+    on(type, listener) {
+        if (!REVEAL_EVENTS.includes(type)) {
+            throw new Error(`Unknown event "${type}" - expected one of ${REVEAL_EVENTS.join(', ')}`);
+        }
+        
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+    
+    off(type, listener) {
+        if (this.listeners.has(type)) {
+            this.listeners.get(type).delete(listener);
+        }
+    }
+    
+    emit(type, detail = {}) {
+        if (!this.listeners.has(type)) return;
+        [...this.listeners.get(type)].forEach(listener => listener(detail));
+    }
+}
+
+/**
+ * Merge reveal settings over defaults, checking the strategy
+ */
+function resolveReveal(defaults, options = {}) {
+    const reveal = {
+        strategy: options.reveal || defaults.strategy,
+        spread: options.spread !== undefined ? options.spread : defaults.spread,
+        duration: options.duration !== undefined ? options.duration : defaults.duration,
+        direction: options.direction || defaults.direction
+    };
+    
+    validateReveal(reveal.strategy);
+    return reveal;
+}
+
+// Look of a reveal, registered per target section id; sections without a
+// profile of their own use 'default'
+//   rule       - life-like rule (B/S notation or a LIFE_RULES name)
+//   density    - chance of a live cell next to the click (0-1)
+//   gridSize   - cells across the screen
+//   maxFrames  - generations simulated before triangulating
+//   frameDelay - ms between generations
+//   palette    - hues (degrees) used in turn; null cycles from the accent hue
+//   renderMode / reveal / spread / duration - as the engine options
+//   hold / fade - ms the finished mesh stays / takes to fade out
+const DEFAULT_PROFILE = {
+    rule: 'B3/S23',
+    density: 0.5,
+    gridSize: 12,
+    maxFrames: 12,
+    frameDelay: 40,
+    palette: null,
+    renderMode: 'outline',
+    reveal: 'radial',
+    spread: 500,
+    duration: 800,
+    hold: 500,
+    fade: 600
+};
+
+const PROFILE_NUMBERS = ['density', 'gridSize', 'maxFrames', 'frameDelay', 'spread', 'duration', 'hold', 'fade'];
+
+/**
+ * Check a (partial) profile, returning it without undefined settings
+ */
+function validateProfile(profile) {
+    const checked = {};
+    
+    Object.keys(profile).forEach(key => {
+        const value = profile[key];
+        if (value === undefined) return;
+        
+        if (!(key in DEFAULT_PROFILE)) {
+            throw new Error(`Unknown profile setting "${key}" - expected one of ${Object.keys(DEFAULT_PROFILE).join(', ')}`);
+        }
+        if (PROFILE_NUMBERS.includes(key) && !(Number.isFinite(value) && value >= 0)) {
+            throw new Error(`Invalid ${key} "${value}" - expected a number of 0 or more`);
+        }
+        checked[key] = value;
+    });
+    
+    if (checked.gridSize !== undefined && (!Number.isInteger(checked.gridSize) || checked.gridSize < 2)) {
+        throw new Error(`Invalid gridSize "${checked.gridSize}" - expected a whole number of 2 or more`);
+    }
+    if (checked.palette && (!Array.isArray(checked.palette) || !checked.palette.every(Number.isFinite))) {
+        throw new Error(`Invalid palette "${checked.palette}" - expected a list of hues in degrees`);
+    }
+    if (checked.rule !== undefined) parseRule(checked.rule);
+    if (checked.renderMode !== undefined) validateRenderMode(checked.renderMode);
+    if (checked.reveal !== undefined) validateReveal(checked.reveal);
+    
+    return checked;
+}
+
+/**
+ * Read a profile from data-* attributes, e.g. a <section> with
+ * data-rule="highlife" data-grid-size="16" data-palette="190 220 280"
+ */
+function profileFromDataset(dataset) {
+    const profile = {};
+    
+    Object.keys(DEFAULT_PROFILE).forEach(key => {
+        const value = dataset[key];
+        if (value === undefined || value.trim() === '') return;
+        
+        if (key === 'palette') {
+            profile.palette = value.trim().split(/[\s,]+/).map(Number);
+        } else if (PROFILE_NUMBERS.includes(key)) {
+            profile[key] = Number(value);
+        } else {
+            profile[key] = value.trim();
+        }
+    });
+    
+    return validateProfile(profile);
+}
+
+class TriangulationEngine extends RevealEmitter {
+    /**
+     * options.rule  - life-like rule in B/S notation (default B3/S23)
+     * options.edges - border handling: 'wrap', 'dead' or 'mirror'
+     * options.seed  - seed for replayable runs (random when omitted)
+     * options.clock - time source and scheduler (default browserClock)
+     * options.reducedMotion - skip the overlay and finish navigation at once
+     * options.autoPause - pause while the tab is hidden (default true)
+     * options.width / options.height - fixed canvas size (CSS pixels), kept
+     *                                  on later window resizes
+     * options.pixelRatio - fixed device pixels per CSS pixel, kept when the
+     *                      screen's ratio changes
+     * options.listen - follow window resizes and page visibility (default true)
+     * options.animateHue - cycle the page accent hue (default true); when off,
+     *                      the hue is set from outside with setHue()
+     * options.quality - force a quality tier ('full', 'sprite' or 'plain');
+     *                   adaptive when omitted
+     * options.onQualityChange - called with the tier whenever it changes
+     * options.renderer - 'auto' (default, WebGL when available), 'webgl' or 'canvas2d'
+     * options.renderMode - default look of the reveal (see TRIANGLE_RENDER_MODES);
+     *                      runFromClick can pick another per navigation
+     * options.reveal   - default reveal order: 'radial' (from the click), 'flood',
+     *                    'sweep' or 'random'
+     * options.spread   - ms between the first and last piece starting (default 500)
+     * options.duration - ms each piece takes to grow (default 800)
+     * options.direction - { x, y } for the sweep (default downwards)
+     * options.profiles - { sectionId: profile } looks per target section, with
+     *                    'default' for the rest (see DEFAULT_PROFILE); the rule,
+     *                    renderMode, reveal, spread and duration options above
+     *                    set the default profile
+     */
+    constructor(canvas, options = {}) {
+        super();
         this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
-        this.resize();
+        this.renderer = createRenderer(canvas, options.renderer);
+        this.clock = options.clock || browserClock;
+        this.random = createRandom(options.seed);
+        this.seed = this.random.seed;
         
-        // Simulation parameters
-        this.gridSize = 12;
-        this.maxFrames = 12; // Reduced for more survivors
+        // Simulation parameters - the rule, gridSize, maxFrames and frameDelay
+        // come from the target section's profile at the start of every run
         this.minCells = 10; // Stop early if below this
-        this.frameDelay = 40; // ms between frames
+        this.edges = validateEdges(options.edges || 'wrap');
+        this.reveal = resolveReveal({
+            strategy: DEFAULT_PROFILE.reveal,
+            spread: DEFAULT_PROFILE.spread,
+            duration: DEFAULT_PROFILE.duration,
+            direction: { x: 0, y: 1 }
+        }, options);
+        
+        this.profiles = new Map();
+        this.setProfile('default', {
+            ...DEFAULT_PROFILE,
+            rule: options.rule || DEFAULT_PROFILE.rule,
+            renderMode: options.renderMode || DEFAULT_PROFILE.renderMode,
+            reveal: this.reveal.strategy,
+            spread: this.reveal.spread,
+            duration: this.reveal.duration
+        });
+        Object.keys(options.profiles || {}).forEach(id => this.setProfile(id, options.profiles[id]));
+        this.applyProfile(this.getProfile('default'));
+        
+        // Cell sizes depend on gridSize, so size the canvas after it is set;
+        // sizes given here win over the window's on every resize
+        this.sizeOverrides = { width: options.width, height: options.height, pixelRatio: options.pixelRatio };
+        this.resize();
         
         // State
-        this.grid = null;
-        this.nextGrid = null;
+        this.life = null;
         this.livingCells = [];
         this.currentFrame = 0;
         this.isRunning = false;
         this.animationId = null;
         
-        // Animation state
+        // Animation state - pieces are what the reveal grows: the triangles,
+        // or Voronoi cells in voronoi mode
         this.triangles = [];
+        this.pieces = [];
         this.animatedTriangles = [];
         this.targetSection = null;
         this.onComplete = null;
+        this.currentRun = null;
+        this.reducedMotion = !!options.reducedMotion;
+        this.activeRenderMode = this.renderMode;
+        this.activeReveal = this.reveal;
+        this.origin = { x: 0, y: 0 };
+        this.quality = new QualityManager({
+            tier: options.quality,
+            onChange: options.onQualityChange
+        });
         
         // RGB hue for accent
         this.hue = 0;
         this.hueSpeed = 0.3; // Slower for smoother animation
         
+        // Lifecycle - engine time stands still while paused
+        this.pauseReasons = new Set();
+        this.pausedAt = 0;
+        this.pausedTotal = 0;
+        this.nextStep = null;
+        this.hueFrame = null;
+        this.isDestroyed = false;
+        
         // Bind methods
         this.update = this.update.bind(this);
         this.animate = this.animate.bind(this);
+        this.hold = this.hold.bind(this);
+        this.fade = this.fade.bind(this);
+        this.onResize = () => this.resize();
+        this.onVisibilityChange = () => {
+            if (document.hidden) {
+                this.pause('hidden');
+            } else {
+                this.resume('hidden');
+            }
+        };
         
         // Start hue animation
-        this.animateHue();
+        this.hueAnimated = options.animateHue !== false;
+        if (this.hueAnimated) {
+            this.animateHue();
+        }
         
-        window.addEventListener('resize', () => this.resize());
+        this.isListening = options.listen !== false;
+        if (this.isListening) {
+            window.addEventListener('resize', this.onResize);
+            this.stopWatchingRatio = watchPixelRatio(this.onResize);
+            if (options.autoPause !== false) {
+                document.addEventListener('visibilitychange', this.onVisibilityChange);
+            }
+        }
     }
     
-    resize() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
-        this.cellWidth = this.canvas.width / this.gridSize;
-        this.cellHeight = this.canvas.height / this.gridSize;
+    /**
+     * Size the overlay in CSS pixels; the canvas gets device pixels so edges
+     * stay sharp on high-DPI screens, while all geometry stays in CSS pixels
+     */
+    resize(
+        width = this.sizeOverrides.width ?? window.innerWidth,
+        height = this.sizeOverrides.height ?? window.innerHeight,
+        pixelRatio = this.sizeOverrides.pixelRatio ?? (window.devicePixelRatio || 1)
+    ) {
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = pixelRatio;
+        this.renderer.resize(width, height, pixelRatio);
+        this.cellWidth = width / this.gridSize;
+        this.cellHeight = height / this.gridSize;
+    }
+    
+    setHue(hue) {
+        this.hue = hue;
+    }
+    
+    /**
+     * Default render mode for reveals started without one
+     */
+    setRenderMode(mode) {
+        this.setProfile('default', { renderMode: validateRenderMode(mode) });
+    }
+    
+    get renderMode() {
+        return this.profiles.get('default').renderMode;
+    }
+    
+    /**
+     * Register the look of reveals towards section `id` ('default' for the
+     * rest); settings are merged over what `id` already had
+     */
+    setProfile(id, profile) {
+        this.profiles.set(id, { ...this.profiles.get(id), ...validateProfile(profile) });
+    }
+    
+    /**
+     * Full profile for a section: its own settings over the default ones
+     */
+    getProfile(id) {
+        return { ...this.profiles.get('default'), ...this.profiles.get(id) };
+    }
+    
+    /**
+     * Take the simulation settings of a profile for the next run
+     */
+    applyProfile(profile) {
+        this.profile = profile;
+        this.rule = profile.rule;
+        this.gridSize = profile.gridSize;
+        this.maxFrames = profile.maxFrames;
+        this.frameDelay = profile.frameDelay;
+        this.cellWidth = this.width / this.gridSize;
+        this.cellHeight = this.height / this.gridSize;
+    }
+    
+    /**
+     * Hue for the step-th edge or piece: from the profile palette when there
+     * is one, otherwise stepping round the wheel from the accent hue
+     */
+    paletteHue(step, offset = 0) {
+        const { palette } = this.profile;
+        if (palette && palette.length > 0) {
+            return palette[step % palette.length];
+        }
+        return this.hue + step * 25 + offset;
+    }
+    
+    /**
+     * Current rendering tier: 'full', 'sprite' or 'plain'
+     */
+    get qualityTier() {
+        return this.quality.tier;
+    }
+    
+    /**
+     * Pin a rendering tier for debugging, or pass null to adapt again
+     */
+    setQuality(tier) {
+        this.quality.force(tier);
     }
     
     animateHue() {
         this.hue = (this.hue + this.hueSpeed) % 360;
         document.documentElement.style.setProperty('--accent-hue', this.hue);
-        requestAnimationFrame(() => this.animateHue());
+        this.hueFrame = this.clock.requestFrame(() => this.animateHue());
     }
     
     /**
-     * Create a 2D array filled with zeros
+     * Milliseconds on the engine clock, which does not advance while paused
      */
-    create2DArray(size) {
-        return Array(size).fill(null).map(() => Array(size).fill(0));
+    time() {
+        return (this.isPaused ? this.pausedAt : this.clock.now()) - this.pausedTotal;
+    }
+    
+    get isPaused() {
+        return this.pauseReasons.size > 0;
     }
     
     /**
-     * Initialize the grid with cells seeded from a point
+     * Queue the next step of the running animation for the next frame
+     * While paused it is only remembered, and resume() picks it up
      */
-    initializeFromPoint(x, y, density = 0.5) {
-        this.grid = this.create2DArray(this.gridSize);
-        this.nextGrid = this.create2DArray(this.gridSize);
+    schedule(step) {
+        this.nextStep = step;
+        if (this.isPaused) return;
         
-        // Convert click position to grid coordinates
-        const centerCol = Math.floor(x / this.cellWidth);
-        const centerRow = Math.floor(y / this.cellHeight);
-        
-        // Seed cells in a radius around the click point
-        const radius = Math.floor(this.gridSize / 2);
-        
-        for (let i = 0; i < this.gridSize; i++) {
-            for (let j = 0; j < this.gridSize; j++) {
-                const distX = Math.abs(i - centerCol);
-                const distY = Math.abs(j - centerRow);
-                const dist = Math.sqrt(distX * distX + distY * distY);
-                
-                // Higher probability near center, decreasing with distance
-                const probability = density * Math.max(0, 1 - (dist / radius) * 0.4);
-                this.grid[i][j] = Math.random() < probability ? 1 : 0;
-            }
-        }
-        
-        this.livingCells = [];
-        this.currentFrame = 0;
-        this.triangles = [];
-        this.animatedTriangles = [];
+        this.animationId = this.clock.requestFrame(() => {
+            this.animationId = null;
+            this.nextStep = null;
+            step();
+        });
     }
     
     /**
-     * Count living cells in grid
+     * Freeze the hue cycle and any running animation
+     * reason lets automatic pauses (hidden tab) and manual ones overlap
      */
-    countLivingCells() {
-        let count = 0;
-        for (let i = 0; i < this.gridSize; i++) {
-            for (let j = 0; j < this.gridSize; j++) {
-                if (this.grid[i][j] === 1) count++;
-            }
+    pause(reason = 'user') {
+        if (this.isDestroyed) return;
+        
+        const wasPaused = this.isPaused;
+        this.pauseReasons.add(reason);
+        if (wasPaused) return;
+        
+        this.pausedAt = this.clock.now();
+        if (this.hueFrame) {
+            this.clock.cancelFrame(this.hueFrame);
+            this.hueFrame = null;
+        }
+        if (this.animationId) {
+            this.clock.cancelFrame(this.animationId);
+            this.animationId = null;
         }
-        return count;
     }
     
     /**
-     * Add random cells to reach minimum
+     * Lift a pause; everything continues once no pause reason is left
      */
-    ensureMinimumCells(minimum) {
-        const current = this.countLivingCells();
-        if (current >= minimum) return;
-        
-        const emptyCells = [];
-        for (let i = 0; i < this.gridSize; i++) {
-            for (let j = 0; j < this.gridSize; j++) {
-                if (this.grid[i][j] === 0) {
-                    emptyCells.push({ i, j });
-                }
-            }
-        }
+    resume(reason = 'user') {
+        if (this.isDestroyed || !this.pauseReasons.delete(reason) || this.isPaused) return;
         
-        // Shuffle
-        for (let i = emptyCells.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [emptyCells[i], emptyCells[j]] = [emptyCells[j], emptyCells[i]];
+        this.pausedTotal += this.clock.now() - this.pausedAt;
+        if (this.hueAnimated) {
+            this.animateHue();
         }
-        
-        const needed = minimum - current;
-        for (let k = 0; k < Math.min(needed, emptyCells.length); k++) {
-            const { i, j } = emptyCells[k];
-            this.grid[i][j] = 1;
+        if (this.isRunning && this.nextStep) {
+            this.schedule(this.nextStep);
         }
     }
     
     /**
-     * Count living neighbors for a cell (Game of Life rules)
+     * Stop everything and detach from the page for good
      */
-    countNeighbors(x, y) {
-        let count = 0;
-        
-        for (let i = -1; i <= 1; i++) {
-            for (let j = -1; j <= 1; j++) {
-                if (i === 0 && j === 0) continue;
-                
-                // Wrap around edges
-                const col = (x + i + this.gridSize) % this.gridSize;
-                const row = (y + j + this.gridSize) % this.gridSize;
-                
-                count += this.grid[col][row];
-            }
+    destroy() {
+        if (this.isDestroyed) return;
+        
+        this.stop();
+        this.pause('destroyed');
+        this.isDestroyed = true;
+        if (this.isListening) {
+            window.removeEventListener('resize', this.onResize);
+            this.stopWatchingRatio();
+            document.removeEventListener('visibilitychange', this.onVisibilityChange);
         }
-        
-        return count;
     }
     
     /**
-     * Update grid using Conway's Game of Life rules
+     * Initialize the grid with cells seeded from a point (into life when
+     * given, otherwise a new grid for the current profile)
      */
-    updateGrid() {
-        for (let i = 0; i < this.gridSize; i++) {
-            for (let j = 0; j < this.gridSize; j++) {
-                const neighbors = this.countNeighbors(i, j);
-                const currentState = this.grid[i][j];
-                
-                if (currentState === 1) {
-                    // Cell is alive
-                    this.nextGrid[i][j] = (neighbors < 2 || neighbors > 3) ? 0 : 1;
-                } else {
-                    // Cell is dead
-                    this.nextGrid[i][j] = (neighbors === 3) ? 1 : 0;
-                }
-            }
-        }
+    initializeFromPoint(x, y, density = 0.5, life = new LifeGrid(this.gridSize, { rule: this.rule, edges: this.edges })) {
+        this.life = life;
+        
+        // Convert click position to grid coordinates
+        const centerCol = Math.floor(x / this.cellWidth);
+        const centerRow = Math.floor(y / this.cellHeight);
+        
+        // Seed cells in a radius around the click point
+        const radius = Math.floor(this.gridSize / 2);
         
-        // Swap grids
-        [this.grid, this.nextGrid] = [this.nextGrid, this.grid];
+        this.life.randomize((i, j) => {
+            const distX = Math.abs(i - centerCol);
+            const distY = Math.abs(j - centerRow);
+            const dist = Math.sqrt(distX * distX + distY * distY);
+            
+            // Higher probability near center, decreasing with distance
+            return density * Math.max(0, 1 - (dist / radius) * 0.4);
+        }, this.random);
+        
+        this.livingCells = [];
+        this.currentFrame = 0;
+        this.triangles = [];
+        this.pieces = [];
+        this.animatedTriangles = [];
     }
     
     /**
      * Collect positions of all living cells
      */
     collectLivingCells() {
-        this.livingCells = [];
-        
-        for (let i = 0; i < this.gridSize; i++) {
-            for (let j = 0; j < this.gridSize; j++) {
-                if (this.grid[i][j] === 1) {
-                    this.livingCells.push({
-                        x: i * this.cellWidth + this.cellWidth / 2,
-                        y: j * this.cellHeight + this.cellHeight / 2,
-                        gridX: i,
-                        gridY: j
-                    });
-                }
-            }
-        }
+        this.livingCells = this.life.collectLiving(this.cellWidth, this.cellHeight);
     }
     
     /**
@@ -208,6 +532,7 @@ class TriangulationEngine {
     triangulate() {
         if (this.livingCells.length < 3) {
             this.triangles = [];
+            this.pieces = [];
             return;
         }
         
@@ -216,6 +541,7 @@ class TriangulationEngine {
         
         this.triangles = [];
         const triangleIndices = delaunay.triangles;
+        const halfedges = delaunay.halfedges;
         
         for (let i = 0; i < triangleIndices.length; i += 3) {
             const p1 = this.livingCells[triangleIndices[i]];
@@ -226,31 +552,122 @@ class TriangulationEngine {
             const centroidX = (p1.x + p2.x + p3.x) / 3;
             const centroidY = (p1.y + p2.y + p3.y) / 3;
             
+            // Triangles across each edge (halfedges), for the flood reveal
+            const neighbors = [];
+            for (let k = 0; k < 3; k++) {
+                const twin = halfedges[i + k];
+                if (twin !== -1) neighbors.push(Math.floor(twin / 3));
+            }
+            
             this.triangles.push({
                 points: [p1, p2, p3],
                 centroid: { x: centroidX, y: centroidY },
+                area: polygonArea([p1, p2, p3]),
+                neighbors,
                 progress: 0,
-                delay: 0
+                delay: 0,
+                started: false
             });
         }
         
-        // Sort triangles by distance from center for radial animation
-        const centerX = this.canvas.width / 2;
-        const centerY = this.canvas.height / 2;
+        this.pieces = this.activeRenderMode === 'voronoi' ? this.buildVoronoiCells(delaunay) : this.triangles;
+        this.assignRevealDelays(this.pieces);
+    }
+    
+    /**
+     * Voronoi cells of the living cells, each growing out of its site
+     * Neighbors are the cells of Delaunay neighbors
+     */
+    buildVoronoiCells(delaunay) {
+        const { triangles, halfedges } = delaunay;
+        const cells = voronoiCells(this.livingCells, {
+            width: this.width,
+            height: this.height
+        }, delaunay);
+        
+        const neighbors = cells.map(() => new Set());
+        for (let e = 0; e < halfedges.length; e++) {
+            const from = triangles[e];
+            const to = triangles[e % 3 === 2 ? e - 2 : e + 1];
+            neighbors[from].add(to);
+            neighbors[to].add(from);
+        }
         
-        this.triangles.forEach(tri => {
-            const dx = tri.centroid.x - centerX;
-            const dy = tri.centroid.y - centerY;
-            tri.distFromCenter = Math.sqrt(dx * dx + dy * dy);
-        });
+        // Drop empty cells (duplicate points) and renumber the neighbors
+        const kept = cells.filter(cell => cell.polygon.length >= 3);
+        const position = new Map(kept.map((cell, i) => [cell.index, i]));
+        
+        return kept.map(cell => ({
+            points: cell.polygon,
+            centroid: { x: cell.site.x, y: cell.site.y },
+            area: polygonArea(cell.polygon),
+            neighbors: [...neighbors[cell.index]].filter(n => position.has(n)).map(n => position.get(n)),
+            progress: 0,
+            delay: 0,
+            started: false
+        }));
+    }
+    
+    /**
+     * Give every piece its start delay, 0 .. spread ms, by the reveal strategy
+     *   radial - by distance from the click
+     *   flood  - by steps across adjacent pieces from the one at the click
+     *   sweep  - along activeReveal.direction, e.g. towards the target section
+     *   random - in any order
+     * Pieces are then sorted by delay
+     */
+    assignRevealDelays(pieces) {
+        if (pieces.length === 0) return;
+        
+        const { strategy, spread, direction } = this.activeReveal;
+        const origin = this.origin;
+        const distance = piece => Math.hypot(piece.centroid.x - origin.x, piece.centroid.y - origin.y);
+        let order;
+        
+        switch (strategy) {
+            case 'flood': {
+                // Breadth-first from the piece nearest the click
+                const start = pieces.reduce((best, piece, i) => distance(piece) < distance(pieces[best]) ? i : best, 0);
+                const depth = new Array(pieces.length).fill(-1);
+                const queue = [start];
+                depth[start] = 0;
+                
+                while (queue.length > 0) {
+                    const current = queue.shift();
+                    pieces[current].neighbors.forEach(n => {
+                        if (depth[n] === -1) {
+                            depth[n] = depth[current] + 1;
+                            queue.push(n);
+                        }
+                    });
+                }
+                
+                // Anything unreachable comes last
+                const maxDepth = Math.max(...depth);
+                order = depth.map(d => (d === -1 ? maxDepth + 1 : d));
+                break;
+            }
+            case 'sweep': {
+                const length = Math.hypot(direction.x, direction.y) || 1;
+                order = pieces.map(piece => (piece.centroid.x * direction.x + piece.centroid.y * direction.y) / length);
+                break;
+            }
+            case 'random':
+                order = pieces.map(() => this.random());
+                break;
+            default:
+                order = pieces.map(distance);
+        }
         
-        this.triangles.sort((a, b) => a.distFromCenter - b.distFromCenter);
+        const min = Math.min(...order);
+        const range = Math.max(...order) - min || 1;
+        pieces.forEach((piece, i) => {
+            piece.delay = ((order[i] - min) / range) * spread;
+        });
         
-        // Assign animation delays based on distance
-        const maxDist = Math.max(...this.triangles.map(t => t.distFromCenter));
-        this.triangles.forEach((tri, i) => {
-            tri.delay = (tri.distFromCenter / maxDist) * 500;
-            tri.index = i;
+        pieces.sort((a, b) => a.delay - b.delay);
+        pieces.forEach((piece, i) => {
+            piece.index = i;
         });
     }
     
@@ -258,121 +675,148 @@ class TriangulationEngine {
      * Draw the current state
      */
     draw(showCells = true, showTriangles = true) {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.quality.frame(this.clock.now());
+        this.renderer.clear();
         
         // Draw living cells as dots during simulation
-        if (showCells && !this.isTriangulating) {
-            this.ctx.fillStyle = `hsl(${this.hue}, 100%, 50%)`;
-            
-            for (let i = 0; i < this.gridSize; i++) {
-                for (let j = 0; j < this.gridSize; j++) {
-                    if (this.grid && this.grid[i][j] === 1) {
-                        const x = i * this.cellWidth + this.cellWidth / 2;
-                        const y = j * this.cellHeight + this.cellHeight / 2;
-                        
-                        this.ctx.beginPath();
-                        this.ctx.arc(x, y, 4, 0, Math.PI * 2);
-                        this.ctx.fill();
-                    }
-                }
-            }
+        if (showCells && !this.isTriangulating && this.life) {
+            const cells = this.life.collectLiving(this.cellWidth, this.cellHeight);
+            this.renderer.drawDots(
+                cells.map(cell => ({ x: cell.x, y: cell.y, hue: this.paletteHue(0), alpha: 1 })),
+                this.quality.tier,
+                { radius: 4 }
+            );
         }
         
-        // Draw triangles with RGB gradient glow animation
-        if (showTriangles && this.triangles.length > 0) {
-            this.triangles.forEach((tri, index) => {
-                if (tri.progress <= 0) return;
+        // Draw triangles (or cells) growing from their centroids
+        if (showTriangles && this.pieces.length > 0) {
+            const grown = [];
+            
+            this.pieces.forEach((piece, index) => {
+                if (piece.progress <= 0) return;
                 
-                const { points } = tri;
+                const { points } = piece;
                 
                 // Validate points array
                 if (!points || points.length < 3) return;
-                if (!points[0] || !points[1] || !points[2]) return;
-                if (typeof points[0].x === 'undefined' || typeof points[0].y === 'undefined') return;
-                if (typeof points[1].x === 'undefined' || typeof points[1].y === 'undefined') return;
-                if (typeof points[2].x === 'undefined' || typeof points[2].y === 'undefined') return;
-                
-                const progress = Math.min(1, tri.progress);
-                
-                // Interpolate from centroid to full triangle
-                const cx = tri.centroid.x;
-                const cy = tri.centroid.y;
-                
-                const p1 = this.lerp(cx, cy, points[0].x, points[0].y, progress);
-                const p2 = this.lerp(cx, cy, points[1].x, points[1].y, progress);
-                const p3 = this.lerp(cx, cy, points[2].x, points[2].y, progress);
+                if (points.some(p => !p || typeof p.x === 'undefined' || typeof p.y === 'undefined')) return;
                 
-                // Validate interpolated points
-                if (!p1 || !p2 || !p3 || typeof p1.x === 'undefined' || typeof p2.x === 'undefined' || typeof p3.x === 'undefined') {
-                    return;
-                }
+                const progress = Math.min(1, piece.progress);
                 
-                // Draw each edge with RGB gradient and glow
-                const edges = [
-                    { p1, p2 },
-                    { p2, p3 },
-                    { p3, p1 }
-                ];
+                // Interpolate from centroid to full shape
+                const cx = piece.centroid.x;
+                const cy = piece.centroid.y;
                 
-                edges.forEach((edge, edgeIndex) => {
-                    // Validate edge points
-                    if (!edge.p1 || !edge.p2 || typeof edge.p1.x === 'undefined' || typeof edge.p2.x === 'undefined') {
-                        return;
-                    }
-                    
-                    const globalIndex = index * 3 + edgeIndex;
-                    
-                    // Create gradient for this edge - stable offsets
-                    const gradient = this.ctx.createLinearGradient(
-                        edge.p1.x, edge.p1.y,
-                        edge.p2.x, edge.p2.y
-                    );
-                    
-                    // RGB gradient with stable offsets per edge
-                    const baseHue = this.hue;
-                    const hue1 = (baseHue + globalIndex * 25) % 360;
-                    const hue2 = (baseHue + globalIndex * 25 + 60) % 360;
-                    const hue3 = (baseHue + globalIndex * 25 + 120) % 360;
-                    
-                    gradient.addColorStop(0, `hsla(${hue1}, 100%, 60%, ${0.9 * progress})`);
-                    gradient.addColorStop(0.5, `hsla(${hue2}, 100%, 60%, ${0.9 * progress})`);
-                    gradient.addColorStop(1, `hsla(${hue3}, 100%, 60%, ${0.9 * progress})`);
-                    
-                    this.ctx.save();
-                    
-                    // Outer glow - use average hue for smoother shadow
-                    const avgHue = (hue1 + hue2 + hue3) / 3;
-                    this.ctx.shadowBlur = 10;
-                    this.ctx.shadowColor = `hsl(${avgHue}, 100%, 50%)`;
-                    this.ctx.strokeStyle = gradient;
-                    this.ctx.lineWidth = 3.5;
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(edge.p1.x, edge.p1.y);
-                    this.ctx.lineTo(edge.p2.x, edge.p2.y);
-                    this.ctx.stroke();
-                    
-                    // Inner bright line
-                    this.ctx.shadowBlur = 5;
-                    this.ctx.strokeStyle = gradient;
-                    this.ctx.lineWidth = 2.5;
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(edge.p1.x, edge.p1.y);
-                    this.ctx.lineTo(edge.p2.x, edge.p2.y);
-                    this.ctx.stroke();
-                    
-                    // Core bright line
-                    this.ctx.shadowBlur = 0;
-                    this.ctx.strokeStyle = gradient;
-                    this.ctx.lineWidth = 2;
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(edge.p1.x, edge.p1.y);
-                    this.ctx.lineTo(edge.p2.x, edge.p2.y);
-                    this.ctx.stroke();
-                    
-                    this.ctx.restore();
+                grown.push({
+                    points: points.map(p => this.lerp(cx, cy, p.x, p.y, progress)),
+                    index,
+                    progress
+                });
+            });
+            
+            this.drawPieces(grown);
+        }
+    }
+    
+    /**
+     * Draw grown triangles (or Voronoi cells) in the current render mode
+     * Hues are stable per edge (outline, wireframe, voronoi) or per triangle (fills)
+     */
+    drawPieces(grown) {
+        const tier = this.quality.tier;
+        const edges = [];
+        
+        if (this.activeRenderMode === 'voronoi') {
+            grown.forEach(({ points, index, progress }) => {
+                points.forEach((p, edgeIndex) => {
+                    edges.push({
+                        p1: p,
+                        p2: points[(edgeIndex + 1) % points.length],
+                        hue: this.paletteHue(index, edgeIndex * 15),
+                        alpha: 0.9 * progress
+                    });
+                });
+            });
+            
+            this.renderer.drawEdges(edges, tier, {
+                blur: [10, 5],
+                widths: [3.5, 2.5, 2]
+            });
+            return;
+        }
+        
+        if (this.activeRenderMode === 'filled' || this.activeRenderMode === 'stained-glass') {
+            const glass = this.activeRenderMode === 'stained-glass';
+            
+            this.renderer.fillTriangles(grown.map(tri => ({
+                points: tri.points,
+                hue: this.paletteHue(tri.index),
+                alpha: (glass ? 0.75 : 0.55) * tri.progress
+            })), { lightness: glass ? 55 : 50 });
+            
+            if (glass) {
+                // Dark leading between the panes
+                const leading = [];
+                grown.forEach(({ points: [p1, p2, p3] }) => {
+                    leading.push({ p1, p2 }, { p1: p2, p2: p3 }, { p1: p3, p2: p1 });
+                });
+                this.renderer.strokeLines(leading, { width: 4, rgb: [12, 12, 12], alpha: 0.95 });
+            }
+            return;
+        }
+        
+        grown.forEach(({ points: [p1, p2, p3], index, progress }) => {
+            [[p1, p2], [p2, p3], [p3, p1]].forEach(([a, b], edgeIndex) => {
+                edges.push({
+                    p1: a,
+                    p2: b,
+                    hue: this.paletteHue(index * 3 + edgeIndex),
+                    alpha: 0.9 * progress
+                });
+            });
+        });
+        
+        if (this.activeRenderMode === 'wireframe') {
+            // Thinner hero-style edges with vertex dots
+            this.renderer.drawEdges(edges, tier, {
+                blur: [8, 4],
+                widths: [3, 2, 1.5]
+            });
+            
+            const dots = [];
+            grown.forEach(({ points, index, progress }) => {
+                points.forEach((p, corner) => {
+                    dots.push({ x: p.x, y: p.y, hue: this.paletteHue(index * 3 + corner) % 360, alpha: 0.6 * progress });
                 });
             });
+            this.renderer.drawDots(dots, tier, { radius: 2.5, blur: 6, lightness: 60 });
+            return;
         }
+        
+        this.renderer.drawEdges(edges, tier, {
+            blur: [10, 5],
+            widths: [3.5, 2.5, 2]
+        });
+    }
+    
+    /**
+     * Export the last revealed mesh for laser cutting (DXF) or 3D printing (STL)
+     * Options are passed on to meshToDXF / meshToSTL in fabricate.js
+     */
+    exportDXF(options = {}) {
+        return meshToDXF(this.triangles.map(tri => tri.points), {
+            width: this.width,
+            height: this.height,
+            ...options
+        });
+    }
+    
+    exportSTL(options = {}) {
+        return meshToSTL(this.triangles.map(tri => tri.points), {
+            width: this.width,
+            height: this.height,
+            ...options
+        });
     }
     
     /**
@@ -394,25 +838,99 @@ class TriangulationEngine {
     
     /**
      * Run the simulation from a click point
+     * Returns a Promise of { status, targetSection } where status is 'done'
+     * once the overlay has faded, or 'cancelled' when it was stopped first;
+     * onComplete (optional) is called in both cases
+     * options.signal - AbortSignal that cancels the run
+     * The look comes from the profile registered for targetSection (see
+     * setProfile); these options override it for this run only:
+     * options.renderMode - look for this reveal
+     * options.reveal / spread / duration / direction - reveal order and timing
      */
-    runFromClick(x, y, targetSection, onComplete) {
+    runFromClick(x, y, targetSection, onComplete, options = {}) {
+        // Check the look and build the grid first so bad options throw before
+        // anything changes, leaving a run in progress untouched
+        const profile = this.getProfile(targetSection);
+        const renderMode = validateRenderMode(options.renderMode || profile.renderMode);
+        const reveal = resolveReveal({
+            strategy: profile.reveal,
+            spread: profile.spread,
+            duration: profile.duration,
+            direction: this.reveal.direction
+        }, options);
+        const life = new LifeGrid(profile.gridSize, { rule: profile.rule, edges: this.edges });
+        
         // Stop any existing animation
         if (this.isRunning) {
             this.stop();
         }
+        this.activeRenderMode = renderMode;
+        this.activeReveal = reveal;
         
-        // Reset state
-        this.targetSection = targetSection;
+        const { signal } = options;
+        const finished = new Promise(resolve => {
+            this.currentRun = { targetSection, resolve, signal, onAbort: null };
+        });
         this.onComplete = onComplete;
+        
+        if (signal && signal.aborted) {
+            this.finishRun('cancelled');
+            return finished;
+        }
+        
+        // Reduced motion: no overlay, the caller handles the section change
+        if (this.reducedMotion) {
+            this.clear();
+            this.finishRun('done');
+            return finished;
+        }
+        
+        // Reset state
+        this.applyProfile(profile);
+        this.targetSection = targetSection;
         this.isRunning = true;
         this.isTriangulating = false;
         this.triangles = [];
+        this.pieces = [];
         this.currentFrame = 0;
+        this.origin = { x, y };
+        
+        if (signal) {
+            const run = this.currentRun;
+            run.onAbort = () => {
+                if (this.currentRun === run) this.stop();
+            };
+            signal.addEventListener('abort', run.onAbort);
+        }
         
-        this.initializeFromPoint(x, y);
-        this.simulationStartTime = performance.now();
+        this.initializeFromPoint(x, y, profile.density, life);
+        this.simulationStartTime = this.time();
+        this.emit('simulate:start', { x, y, targetSection });
         
         this.update();
+        return finished;
+    }
+    
+    /**
+     * End the current run: emit 'done' or 'cancelled', call onComplete and
+     * settle the promise from runFromClick
+     */
+    finishRun(status) {
+        const run = this.currentRun;
+        const callback = this.onComplete;
+        
+        // Clear first so a later stop() or destroy() cannot finish it again
+        this.currentRun = null;
+        this.onComplete = null;
+        if (!run) return;
+        
+        if (run.signal && run.onAbort) {
+            run.signal.removeEventListener('abort', run.onAbort);
+        }
+        
+        this.emit(status, { targetSection: run.targetSection });
+        if (callback) callback();
+        run.resolve({ status, targetSection: run.targetSection });
     }
     
     /**
@@ -421,16 +939,17 @@ class TriangulationEngine {
     update() {
         if (!this.isRunning) return;
         
-        const elapsed = performance.now() - this.simulationStartTime;
+        const elapsed = this.time() - this.simulationStartTime;
         const targetFrame = Math.floor(elapsed / this.frameDelay);
         
         // Run simulation frames with early stopping check
         while (this.currentFrame < targetFrame && this.currentFrame < this.maxFrames) {
-            this.updateGrid();
+            const living = this.life.step();
             this.currentFrame++;
+            this.emit('generation', { generation: this.currentFrame, living });
             
             // Stop early if cells drop too low
-            if (this.countLivingCells() <= this.minCells) {
+            if (living <= this.minCells) {
                 this.currentFrame = this.maxFrames; // Force end
                 break;
             }
@@ -440,16 +959,17 @@ class TriangulationEngine {
         
         if (this.currentFrame >= this.maxFrames) {
             // Ensure minimum cells before triangulation
-            this.ensureMinimumCells(15);
+            this.life.ensureMinimum(15, this.random);
             
             // Simulation complete, start triangulation animation
             this.collectLivingCells();
             this.triangulate();
+            this.emit('triangulate', { pieces: this.pieces.length, triangles: this.triangles.length });
             this.isTriangulating = true;
-            this.triangulationStartTime = performance.now();
+            this.triangulationStartTime = this.time();
             this.animate();
         } else {
-            requestAnimationFrame(this.update);
+            this.schedule(this.update);
         }
     }
     
@@ -459,16 +979,27 @@ class TriangulationEngine {
     animate() {
         if (!this.isRunning) return;
         
-        const elapsed = performance.now() - this.triangulationStartTime;
-        const duration = 800;
+        const elapsed = this.time() - this.triangulationStartTime;
+        const duration = this.activeReveal.duration;
         
         let allComplete = true;
         
-        this.triangles.forEach(tri => {
-            const adjustedElapsed = elapsed - tri.delay;
+        this.pieces.forEach(piece => {
+            const adjustedElapsed = elapsed - piece.delay;
             if (adjustedElapsed > 0) {
-                tri.progress = this.easeOutCubic(Math.min(1, adjustedElapsed / duration));
-                if (tri.progress < 1) allComplete = false;
+                if (!piece.started) {
+                    piece.started = true;
+                    this.emit('piece:start', {
+                        index: piece.index,
+                        x: piece.centroid.x,
+                        y: piece.centroid.y,
+                        area: piece.area,
+                        width: this.width,
+                        height: this.height
+                    });
+                }
+                piece.progress = this.easeOutCubic(Math.min(1, adjustedElapsed / duration));
+                if (piece.progress < 1) allComplete = false;
             } else {
                 allComplete = false;
             }
@@ -478,317 +1009,1073 @@ class TriangulationEngine {
         
         if (allComplete) {
             // Hold for a moment then fade
-            setTimeout(() => {
-                this.fadeOut();
-            }, 500);
+            this.holdUntil = this.time() + this.profile.hold;
+            this.emit('hold');
+            this.schedule(this.hold);
+        } else {
+            this.schedule(this.animate);
+        }
+    }
+    
+    /**
+     * Keep the finished mesh on screen until holdUntil
+     */
+    hold() {
+        if (!this.isRunning) return;
+        
+        if (this.time() >= this.holdUntil) {
+            this.fadeOut();
+        } else {
+            this.schedule(this.hold);
+        }
+    }
+    
+    /**
+     * Fade out the triangles
+     */
+    fadeOut() {
+        this.fadeStartTime = this.time();
+        this.emit('fade');
+        this.fade();
+    }
+    
+    fade() {
+        if (!this.isRunning) return; // Stop if animation was cancelled
+        
+        const duration = this.profile.fade;
+        const elapsed = this.time() - this.fadeStartTime;
+        const progress = duration > 0 ? Math.min(1, elapsed / duration) : 1;
+        
+        this.renderer.setAlpha(1 - this.easeOutCubic(progress));
+        this.draw(false, true);
+        this.renderer.setAlpha(1);
+        
+        if (progress < 1) {
+            this.schedule(this.fade);
+        } else {
+            this.isRunning = false;
+            this.renderer.clear();
+            this.finishRun('done');
+        }
+    }
+    
+    /**
+     * Stop current animation
+     */
+    stop() {
+        this.isRunning = false;
+        this.isTriangulating = false;
+        this.nextStep = null;
+        if (this.animationId) {
+            this.clock.cancelFrame(this.animationId);
+            this.animationId = null;
+        }
+        this.renderer.clear();
+        
+        // Settle an interrupted run so the caller can reset navigation state
+        this.finishRun('cancelled');
+    }
+    
+    /**
+     * Clear canvas
+     */
+    clear() {
+        this.renderer.clear();
+    }
+}
+
+// How the hero logo grows a formation
+const LOGO_FORMATION = {
+    gridSize: 8,
+    density: 0.45, // Higher density for more survivors
+    maxFrames: 12, // Reduced frames - more cells survive
+    minCells: 8, // Stop simulation if we drop below this
+    targetCells: 12 // Ideal number of cells for nice triangulation
+};
+
+/**
+ * Run Game of Life simulation with early stopping, then top the grid up to
+ * enough cells for a nice triangulation
+ * settings - { maxFrames, minCells, targetCells }
+ */
+function evolveFormation(life, random, settings = LOGO_FORMATION) {
+    for (let f = 0; f < settings.maxFrames; f++) {
+        // Check cell count - stop early if dropping too low
+        const cellCount = life.step();
+        if (cellCount <= settings.minCells) {
+            // Stop simulation early to preserve cells
+            break;
+        }
+    }
+    
+    life.ensureMinimum(settings.targetCells, random);
+}
+
+/**
+ * Unique Delaunay edges of a set of points, as [a, b] index pairs
+ */
+function delaunayEdgePairs(points) {
+    if (points.length < 3) return [];
+    
+    const coords = points.map(p => [p.x, p.y]);
+    const delaunay = Delaunator.from(coords);
+    const edges = [];
+    const triangles = delaunay.triangles;
+    
+    // Extract unique edges from triangles
+    const edgeSet = new Set();
+    for (let i = 0; i < triangles.length; i += 3) {
+        const pairs = [
+            [triangles[i], triangles[i + 1]],
+            [triangles[i + 1], triangles[i + 2]],
+            [triangles[i + 2], triangles[i]]
+        ];
+        
+        for (const [a, b] of pairs) {
+            const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+            if (!edgeSet.has(key)) {
+                edgeSet.add(key);
+                edges.push([a, b]);
+            }
+        }
+    }
+    
+    return edges;
+}
+
+/**
+ * The first formation the hero logo shows for a seed, without a page
+ * options - { seed, rule, edges, gridSize, size (CSS pixels, default 300) }
+ * Returns { seed, rule, gridSize, size, cells, points, edges }; edges are
+ * [a, b] index pairs into points
+ */
+function generateFormation(options = {}) {
+    const { rule = 'B3/S23', gridSize = LOGO_FORMATION.gridSize, size = 300 } = options;
+    const random = createRandom(options.seed);
+    const life = new LifeGrid(gridSize, { rule, edges: options.edges || 'wrap' });
+    
+    life.randomize(LOGO_FORMATION.density, random);
+    evolveFormation(life, random);
+    
+    const points = life.collectLiving(size / gridSize);
+    return {
+        seed: random.seed,
+        rule,
+        gridSize,
+        size,
+        cells: life.cells,
+        points,
+        edges: delaunayEdgePairs(points)
+    };
+}
+
+/**
+ * Plotter-ready SVG of logo edges ([{ p1, p2 }]) in a size x size box
+ * options.layers - 'hue' for one layer per hue band, otherwise a single layer
+ * options.bands  - number of hue bands (default 6)
+ * options.hue    - hue of the first edge, as on screen (default 0)
+ * Other options (strokeWidth, precision, background) go to plotToSVG
+ */
+function logoToSVG(edges, size, options = {}) {
+    const { layers = null, bands = 6, hue = 0, ...svgOptions } = options;
+    let groups;
+    
+    if (layers === 'hue') {
+        const bandSize = 360 / bands;
+        groups = Array.from({ length: bands }, (_, band) => ({
+            label: `hue ${Math.round(band * bandSize)}-${Math.round((band + 1) * bandSize)}`,
+            color: `hsl(${band * bandSize + bandSize / 2}, 100%, 40%)`,
+            edges: []
+        }));
+        
+        // Same per-edge hue as the first gradient stop in HeroLogoAnimation.draw()
+        edges.forEach((edge, index) => {
+            const edgeHue = (hue + index * 20) % 360;
+            groups[Math.floor(edgeHue / bandSize) % bands].edges.push(edge);
+        });
+    } else {
+        groups = [{ label: 'edges', color: '#000', edges }];
+    }
+    
+    return plotToSVG(groups, {
+        width: size,
+        height: size,
+        ...svgOptions
+    });
+}
+
+// Clip formats for HeroLogoAnimation.record, best first
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Hero Logo Animation - Continuous generative display with smooth morphing
+class HeroLogoAnimation {
+    /**
+     * options.rule  - life-like rule in B/S notation (default B3/S23)
+     * options.edges - border handling: 'wrap', 'dead' or 'mirror'
+     * options.seed  - seed for replayable formations (random when omitted)
+     * options.clock - time source and scheduler (default browserClock)
+     * options.reducedMotion - show one static formation instead of morphing
+     * options.autoPause - pause while off screen or the tab is hidden (default true)
+     * options.quality / options.onQualityChange / options.renderer - as for
+     *   TriangulationEngine
+     * options.geometry - 'delaunay' (default), 'voronoi', or 'alternate' to
+     *   switch between the two with every new formation
+     * options.formation - { cells, seed, rule, freeze } from decodeFormation:
+     *   start from exactly these cells, and hold them when freeze is set
+     * options.interactive - respond to pointer and keyboard (default true; off
+     *   under reduced motion either way): click or Enter seeds cells and evolves,
+     *   dragging or Shift + arrows paints cells, hovering or the arrow-key
+     *   cursor pushes vertices aside
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.clock = options.clock || browserClock;
+        this.random = createRandom(options.seed);
+        this.seed = this.random.seed;
+        this.seedChosen = options.seed !== undefined && options.seed !== null; // Shared links carry it
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'hero-logo-canvas';
+        this.container.appendChild(this.canvas);
+        this.renderer = createRenderer(this.canvas, options.renderer);
+        
+        this.gridSize = LOGO_FORMATION.gridSize;
+        this.maxFrames = LOGO_FORMATION.maxFrames;
+        this.frameDelay = 80;
+        
+        // Cell count thresholds
+        this.minCells = LOGO_FORMATION.minCells;
+        this.targetCells = LOGO_FORMATION.targetCells;
+        
+        this.life = new LifeGrid(this.gridSize, {
+            rule: options.rule || 'B3/S23',
+            edges: options.edges || 'wrap'
+        });
+        
+        // Current and target points for morphing
+        this.currentPoints = [];
+        this.targetPoints = [];
+        this.morphProgress = 0;
+        this.morphDuration = 1500; // ms for morph transition
+        this.morphStartTime = 0;
+        
+        // Delaunay edges at rest (index pairs into meshPoints) and during a morph
+        this.meshPoints = null;
+        this.meshEdges = [];
+        this.morphEdges = [];
+        
+        // Delaunay or its Voronoi dual; the previous one fades out while morphing
+        const geometry = options.geometry || 'delaunay';
+        if (!['delaunay', 'voronoi', 'alternate'].includes(geometry)) {
+            throw new Error(`Invalid geometry "${geometry}" - expected delaunay, voronoi or alternate`);
+        }
+        this.alternateGeometry = geometry === 'alternate';
+        this.geometry = geometry === 'voronoi' ? 'voronoi' : 'delaunay';
+        this.previousGeometry = this.geometry;
+        
+        this.hue = 0;
+        this.hueSpeed = 0.3; // Slower hue change for smoother animation
+        this.isAnimating = false;
+        this.reducedMotion = !!options.reducedMotion;
+        this.frozen = false; // Hold the formation instead of evolving
+        this.evolveAt = null; // Engine time of the next formation change
+        this.quality = new QualityManager({
+            tier: options.quality,
+            onChange: options.onQualityChange
+        });
+        
+        // Lifecycle - engine time stands still while paused
+        this.pauseReasons = new Set();
+        this.pausedAt = 0;
+        this.pausedTotal = 0;
+        this.frameId = null;
+        this.isDestroyed = false;
+        
+        // Pointer and keyboard play
+        this.interactive = options.interactive !== false;
+        this.seeds = new Set(); // Grid indices kept alive in the next formation
+        this.springs = new Map(); // Vertex displacements by point key
+        this.springStiffness = 120;
+        this.springDamping = 8; // Under-damped, so vertices wobble back
+        this.pointer = null; // Disturbing position in canvas pixels
+        this.stroke = null; // Pointer press: { col, row, painted }
+        this.cursor = null; // Keyboard cell: { col, row }
+        this.lastDrawTime = null;
+        
+        // WebM clip in progress: { recorder, cycles, started, stop }
+        this.recording = null;
+        
+        // Sound input (see setAudio) and what it drives
+        this.audio = null;
+        this.audioBase = null; // hueSpeed and morphDuration to go back to
+        this.jitter = 0; // Vertex wobble in pixels
+        this.lineScale = 1; // Edge width multiplier
+        
+        this.resize();
+        this.init(options.formation);
+        this.listenForInput();
+        this.updateInteractivity();
+        
+        this.onResize = () => this.resize();
+        this.onVisibilityChange = () => {
+            if (document.hidden) {
+                this.pause('hidden');
+            } else {
+                this.resume('hidden');
+            }
+        };
+        
+        window.addEventListener('resize', this.onResize);
+        this.stopWatchingRatio = watchPixelRatio(this.onResize);
+        if (options.autoPause !== false) {
+            document.addEventListener('visibilitychange', this.onVisibilityChange);
+            
+            if ('IntersectionObserver' in window) {
+                this.observer = new IntersectionObserver((entries) => {
+                    entries.forEach(entry => {
+                        if (entry.isIntersecting) {
+                            this.resume('offscreen');
+                        } else {
+                            this.pause('offscreen');
+                        }
+                    });
+                });
+                this.observer.observe(this.container);
+            }
+        }
+    }
+    
+    /**
+     * Fit the logo to its container (CSS pixels, at most 300) at the
+     * device pixel ratio; formations are laid out in CSS pixels
+     */
+    resize() {
+        const size = Math.min(this.container.clientWidth, this.container.clientHeight, 300);
+        this.size = size;
+        this.renderer.resize(size, size, window.devicePixelRatio || 1);
+        this.cellSize = size / this.gridSize;
+        
+        // Resizing clears the canvas and a static logo has no loop to repaint it
+        if (this.reducedMotion && this.currentPoints.length > 0) {
+            this.draw();
+        }
+    }
+    
+    /**
+     * Switch between the morphing logo and a single static formation
+     */
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+        
+        if (reduced) {
+            // Settle on the formation we were heading to and stop evolving
+            this.evolveAt = null;
+            if (this.recording) this.recording.stop();
+            if (this.isMorphing) {
+                this.isMorphing = false;
+                this.currentPoints = this.targetPoints;
+                this.previousGeometry = this.geometry;
+            }
+            this.pointer = null;
+            this.stroke = null;
+            this.cursor = null;
+            this.springs.clear();
+            this.draw();
+        } else if (this.currentPoints.length > 0) {
+            this.scheduleEvolution(2500);
+            this.startDrawLoop();
+        }
+        this.updateInteractivity();
+    }
+    
+    get isInteractive() {
+        return this.interactive && !this.reducedMotion && !this.isDestroyed;
+    }
+    
+    /**
+     * Make the canvas focusable (and say how to play) only while interactive
+     */
+    updateInteractivity() {
+        const on = this.isInteractive;
+        this.canvas.classList.toggle('interactive', on);
+        
+        if (on) {
+            this.canvas.setAttribute('tabindex', '0');
+            this.canvas.setAttribute('role', 'application');
+            this.canvas.setAttribute('aria-label',
+                'CODEFARM logo. Arrow keys move a cursor, Enter or Space seeds cells there, Shift and arrows paint cells');
         } else {
-            requestAnimationFrame(this.animate);
+            this.canvas.removeAttribute('tabindex');
+            this.canvas.setAttribute('role', 'img');
+            this.canvas.setAttribute('aria-label', 'CODEFARM logo');
         }
     }
     
+    listenForInput() {
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.isInteractive) return;
+            
+            this.pointer = this.canvasPoint(e);
+            this.stroke = { ...this.cellAt(this.pointer), painted: false };
+            if (this.canvas.setPointerCapture) {
+                this.canvas.setPointerCapture(e.pointerId);
+            }
+        });
+        
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.isInteractive) return;
+            
+            this.pointer = this.canvasPoint(e);
+            if (!this.stroke) return;
+            
+            // Dragging into another cell paints it, and the one the press began in
+            const { col, row } = this.cellAt(this.pointer);
+            if (col !== this.stroke.col || row !== this.stroke.row) {
+                if (!this.stroke.painted) this.paintCell(this.stroke.col, this.stroke.row);
+                this.paintCell(col, row);
+                this.stroke = { col, row, painted: true };
+            }
+        });
+        
+        this.canvas.addEventListener('pointerup', () => {
+            const stroke = this.stroke;
+            this.stroke = null;
+            if (!stroke || !this.isInteractive) return;
+            
+            if (stroke.painted) {
+                this.scheduleEvolution(2500);
+            } else {
+                this.seedAt(stroke.col, stroke.row);
+            }
+        });
+        
+        const release = () => {
+            this.stroke = null;
+            this.pointer = null;
+        };
+        this.canvas.addEventListener('pointercancel', release);
+        this.canvas.addEventListener('pointerleave', release);
+        
+        this.canvas.addEventListener('keydown', (e) => this.onKeyDown(e));
+        this.canvas.addEventListener('blur', () => {
+            this.cursor = null;
+        });
+    }
+    
+    /**
+     * Keyboard equivalents: arrows move the cursor (painting with Shift),
+     * Enter or Space seeds cells at it
+     */
+    onKeyDown(e) {
+        if (!this.isInteractive || e.metaKey || e.ctrlKey || e.altKey) return;
+        
+        const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        const middle = Math.floor(this.gridSize / 2);
+        const from = this.cursor || { col: middle, row: middle };
+        
+        if (moves[e.key]) {
+            e.preventDefault();
+            const [dc, dr] = moves[e.key];
+            const clamp = c => Math.max(0, Math.min(this.gridSize - 1, c));
+            
+            // The first press only shows the cursor
+            this.cursor = this.cursor ? { col: clamp(from.col + dc), row: clamp(from.row + dr) } : from;
+            if (e.shiftKey) {
+                this.paintCell(this.cursor.col, this.cursor.row);
+            }
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.cursor = from;
+            this.seedAt(from.col, from.row);
+        }
+    }
+    
+    /**
+     * Pointer position in canvas pixels
+     */
+    canvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * this.size / (rect.width || 1),
+            y: (e.clientY - rect.top) * this.size / (rect.height || 1)
+        };
+    }
+    
+    cellAt(point) {
+        const clamp = c => Math.max(0, Math.min(this.gridSize - 1, Math.floor(c / this.cellSize)));
+        return { col: clamp(point.x), row: clamp(point.y) };
+    }
+    
+    cellCenter(col, row) {
+        return { x: col * this.cellSize + this.cellSize / 2, y: row * this.cellSize + this.cellSize / 2 };
+    }
+    
+    /**
+     * Seed a small cross of live cells around a grid position and evolve now
+     */
+    seedAt(col, row) {
+        this.settleMorph();
+        
+        [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dc, dr]) => {
+            const c = col + dc;
+            const r = row + dr;
+            if (c < 0 || r < 0 || c >= this.gridSize || r >= this.gridSize) return;
+            
+            this.life.set(c, r, 1);
+            this.seeds.add(this.life.index(c, r));
+        });
+        
+        this.evolveAt = null;
+        this.evolveToNextFormation();
+    }
+    
+    /**
+     * Let sound drive the logo: `audio.sample(time)` is asked for
+     * { bass, mid, treble, onset } (levels 0-1) every frame, e.g. by an
+     * AudioReactor; null goes back to the normal animation
+     */
+    setAudio(audio) {
+        if (audio && !this.audioBase) {
+            this.audioBase = { hueSpeed: this.hueSpeed, morphDuration: this.morphDuration };
+        }
+        if (!audio && this.audioBase) {
+            Object.assign(this, this.audioBase);
+            this.audioBase = null;
+            this.jitter = 0;
+            this.lineScale = 1;
+        }
+        this.audio = audio;
+    }
+    
+    /**
+     * Treble speeds up the hue, mids shorten the morphs, bass shakes the
+     * vertices and thickens the lines, and an onset moves on to a new
+     * formation unless one is still morphing in
+     */
+    applyAudio({ bass, mid, treble, onset }) {
+        this.hueSpeed = this.audioBase.hueSpeed * (1 + treble * 10);
+        this.morphDuration = this.audioBase.morphDuration * (1 - mid * 0.6);
+        this.jitter = bass * this.cellSize * 0.25;
+        this.lineScale = 1 + bass * 1.5;
+        
+        if (onset && !this.isMorphing && !this.frozen && !this.stroke) {
+            this.evolveAt = null;
+            this.evolveToNextFormation();
+        }
+    }
+    
+    /**
+     * Bring one cell to life in the formation on screen; it is kept alive
+     * when the next formation is seeded
+     */
+    paintCell(col, row) {
+        this.seeds.add(this.life.index(col, row));
+        if (this.life.get(col, row) === 1) return;
+        
+        this.settleMorph();
+        this.life.set(col, row, 1);
+        this.currentPoints = [...this.currentPoints, { ...this.cellCenter(col, row), gridX: col, gridY: row }];
+        this.scheduleEvolution(2500);
+    }
+    
+    /**
+     * Stop a morph where it is, so input acts on what is on screen
+     */
+    settleMorph() {
+        if (!this.isMorphing) return;
+        
+        const progress = Math.min(1, (this.time() - this.morphStartTime) / this.morphDuration);
+        this.currentPoints = this.getInterpolatedPoints(progress)
+            .filter(p => !p.leaving && !p.hidden)
+            .map(({ x, y, key }) => ({ x, y, key }));
+        this.isMorphing = false;
+        this.previousGeometry = this.geometry;
+    }
+    
+    /**
+     * Stable identity of a point for its spring: its grid cell
+     */
+    pointKey(p) {
+        return p.key || `${p.gridX},${p.gridY}`;
+    }
+    
+    /**
+     * Push vertices away from the pointer (or keyboard cursor); each one hangs
+     * on a damped spring that pulls it back to its place
+     */
+    disturb(points, dt) {
+        const source = !this.isInteractive ? null
+            : this.pointer || (this.cursor && this.cellCenter(this.cursor.col, this.cursor.row));
+        if (!source && this.springs.size === 0) return points;
+        
+        const radius = this.cellSize * 2;
+        const push = this.cellSize * 60; // Settles about half a cell away
+        const springs = new Map();
+        
+        const moved = points.map(p => {
+            const key = this.pointKey(p);
+            const spring = this.springs.get(key) || { x: 0, y: 0, vx: 0, vy: 0 };
+            let ax = -this.springStiffness * spring.x - this.springDamping * spring.vx;
+            let ay = -this.springStiffness * spring.y - this.springDamping * spring.vy;
+            
+            if (source) {
+                const dx = p.x + spring.x - source.x;
+                const dy = p.y + spring.y - source.y;
+                const dist = Math.hypot(dx, dy);
+                if (dist < radius) {
+                    // A vertex right under the cursor goes up
+                    const force = push * (1 - dist / radius);
+                    ax += dist > 0 ? dx / dist * force : 0;
+                    ay += dist > 0 ? dy / dist * force : -force;
+                }
+            }
+            
+            spring.vx += ax * dt;
+            spring.vy += ay * dt;
+            spring.x += spring.vx * dt;
+            spring.y += spring.vy * dt;
+            
+            // Springs at rest are dropped
+            if (Math.abs(spring.x) + Math.abs(spring.y) + Math.abs(spring.vx) + Math.abs(spring.vy) > 0.01) {
+                springs.set(key, spring);
+            }
+            return { ...p, x: p.x + spring.x, y: p.y + spring.y };
+        });
+        
+        this.springs = springs;
+        return moved;
+    }
+    
+    get qualityTier() {
+        return this.quality.tier;
+    }
+    
+    setQuality(tier) {
+        this.quality.force(tier);
+    }
+    
+    scheduleEvolution(delay) {
+        this.evolveAt = this.reducedMotion || this.frozen ? null : this.time() + delay;
+    }
+    
+    /**
+     * Hold the current formation, or pass false to start evolving again
+     */
+    setFrozen(frozen) {
+        this.frozen = frozen;
+        
+        if (frozen) {
+            this.evolveAt = null;
+            if (this.recording) this.recording.stop();
+        } else if (!this.isMorphing && this.currentPoints.length > 0) {
+            this.scheduleEvolution(2500);
+        }
+    }
+    
+    /**
+     * Milliseconds on the engine clock, which does not advance while paused
+     */
+    time() {
+        return (this.isPaused ? this.pausedAt : this.clock.now()) - this.pausedTotal;
+    }
+    
+    get isPaused() {
+        return this.pauseReasons.size > 0;
+    }
+    
     /**
-     * Fade out the triangles
+     * Freeze the logo, including morph progress and the wait for the next
+     * formation. reason lets automatic pauses (off screen, hidden tab) and
+     * manual ones overlap
      */
-    fadeOut() {
-        const startTime = performance.now();
-        const duration = 600;
+    pause(reason = 'user') {
+        if (this.isDestroyed) return;
         
-        const fade = () => {
-            if (!this.isRunning) return; // Stop if animation was cancelled
-            
-            const elapsed = performance.now() - startTime;
-            const progress = Math.min(1, elapsed / duration);
-            
-            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-            this.ctx.globalAlpha = 1 - this.easeOutCubic(progress);
-            this.draw(false, true);
-            this.ctx.globalAlpha = 1;
-            
-            if (progress < 1) {
-                requestAnimationFrame(fade);
-            } else {
-                this.isRunning = false;
-                this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-                
-                if (this.onComplete) {
-                    this.onComplete();
-                }
-            }
-        };
+        const wasPaused = this.isPaused;
+        this.pauseReasons.add(reason);
+        if (wasPaused) return;
+        
+        this.pausedAt = this.clock.now();
+        this.clock.cancelFrame(this.frameId);
+        this.frameId = null;
+        this.isAnimating = false;
         
-        fade();
+        // A clip skips the time the logo stood still
+        if (this.recording && this.recording.recorder.state === 'recording') {
+            this.recording.recorder.pause();
+        }
     }
     
     /**
-     * Stop current animation
+     * Lift a pause; the logo continues once no pause reason is left
      */
-    stop() {
-        this.isRunning = false;
-        this.isTriangulating = false;
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
-        }
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    resume(reason = 'user') {
+        if (this.isDestroyed || !this.pauseReasons.delete(reason) || this.isPaused) return;
         
-        // Call onComplete if it exists to reset navigation state
-        if (this.onComplete) {
-            const callback = this.onComplete;
-            this.onComplete = null;
-            callback();
+        this.pausedTotal += this.clock.now() - this.pausedAt;
+        if (this.recording && this.recording.recorder.state === 'paused') {
+            this.recording.recorder.resume();
         }
+        this.startDrawLoop();
     }
     
     /**
-     * Clear canvas
+     * Stop the logo, release its listeners and remove the canvas
      */
-    clear() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    }
-}
-
-// Hero Logo Animation - Continuous generative display with smooth morphing
-class HeroLogoAnimation {
-    constructor(container) {
-        this.container = container;
-        this.canvas = document.createElement('canvas');
-        this.canvas.className = 'hero-logo-canvas';
-        this.container.appendChild(this.canvas);
-        this.ctx = this.canvas.getContext('2d');
-        
-        this.gridSize = 8;
-        this.maxFrames = 12; // Reduced frames - more cells survive
-        this.frameDelay = 80;
-        
-        // Cell count thresholds
-        this.minCells = 8;  // Stop simulation if we drop below this
-        this.targetCells = 12; // Ideal number of cells for nice triangulation
+    destroy() {
+        if (this.isDestroyed) return;
+        
+        this.pause('destroyed');
+        this.isDestroyed = true;
+        this.evolveAt = null;
+        if (this.recording) {
+            this.recording.stop();
+        }
         
-        this.grid = null;
-        this.nextGrid = null;
+        window.removeEventListener('resize', this.onResize);
+        this.stopWatchingRatio();
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+        this.canvas.remove();
+    }
+    
+    init(formation = null) {
+        if (formation) {
+            this.loadFormation(formation);
+            return;
+        }
         
-        // Current and target points for morphing
-        this.currentPoints = [];
-        this.targetPoints = [];
-        this.morphProgress = 0;
-        this.morphDuration = 1500; // ms for morph transition
-        this.morphStartTime = 0;
+        // Random initialization
+        this.life.randomize(LOGO_FORMATION.density, this.random);
         
-        // Edges for drawing (interpolated)
-        this.edges = [];
+        this.currentFrame = 0;
+        this.runSimulation();
+    }
+    
+    /**
+     * Show a shared formation ({ cells, seed, rule, freeze } as returned by
+     * decodeFormation) exactly as it was, morphing to it if a logo is up
+     */
+    loadFormation(formation) {
+        if (formation.cells.length !== this.gridSize * this.gridSize) {
+            throw new Error(`Invalid formation - expected ${this.gridSize * this.gridSize} cells, got ${formation.cells.length}`);
+        }
         
-        this.hue = 0;
-        this.hueSpeed = 0.3; // Slower hue change for smoother animation
-        this.isAnimating = false;
+        if (formation.seed !== undefined) {
+            this.random = createRandom(formation.seed);
+            this.seed = this.random.seed;
+            this.seedChosen = true;
+        }
+        if (formation.rule) {
+            this.life.setRule(formation.rule);
+        }
+        this.frozen = !!formation.freeze;
         
-        this.resize();
-        this.init();
+        this.settleMorph();
+        this.life.cells.set(formation.cells);
+        this.life.generation = 0;
+        this.currentFrame = 0;
         
-        window.addEventListener('resize', () => this.resize());
+        // Without motion, swap the formation instead of morphing to it
+        if (this.reducedMotion) {
+            this.currentPoints = [];
+        }
+        this.showFormation();
+        this.startDrawLoop();
     }
     
-    resize() {
-        const size = Math.min(this.container.clientWidth, this.container.clientHeight, 300);
-        this.canvas.width = size;
-        this.canvas.height = size;
-        this.cellSize = size / this.gridSize;
+    /**
+     * URL fragment for the formation in the grid (see encodeFormation);
+     * options.freeze makes the link hold it
+     */
+    exportFormation(options = {}) {
+        return encodeFormation({
+            cells: this.life.cells,
+            seed: this.seedChosen ? this.seed : undefined,
+            rule: this.life.rule.notation === 'B3/S23' ? undefined : this.life.rule.notation,
+            freeze: !!options.freeze
+        });
     }
     
-    create2DArray(size) {
-        return Array(size).fill(null).map(() => Array(size).fill(0));
+    collectLivingCells() {
+        return this.life.collectLiving(this.cellSize);
     }
     
-    init() {
-        this.grid = this.create2DArray(this.gridSize);
-        this.nextGrid = this.create2DArray(this.gridSize);
-        
-        // Random initialization with higher density for more survivors
-        const density = 0.45;
-        for (let i = 0; i < this.gridSize; i++) {
-            for (let j = 0; j < this.gridSize; j++) {
-                this.grid[i][j] = Math.random() < density ? 1 : 0;
-            }
+    getEdgesFromPoints(points) {
+        return delaunayEdgePairs(points).map(([a, b], index) => ({
+            p1: points[a],
+            p2: points[b],
+            index
+        }));
+    }
+    
+    /**
+     * Delaunay edges of the points at rest, worked out once per formation
+     */
+    getMeshEdges() {
+        if (this.meshPoints !== this.currentPoints) {
+            this.meshPoints = this.currentPoints;
+            this.meshEdges = delaunayEdgePairs(this.currentPoints);
         }
+        return this.meshEdges;
+    }
+    
+    getVoronoiEdgesFromPoints(points) {
+        if (points.length < 2) return [];
         
-        this.currentFrame = 0;
-        this.runSimulation();
+        return voronoiEdges(points, { width: this.size, height: this.size });
     }
     
-    // Count current living cells in grid
-    countLivingCells() {
-        let count = 0;
-        for (let i = 0; i < this.gridSize; i++) {
-            for (let j = 0; j < this.gridSize; j++) {
-                if (this.grid[i][j] === 1) count++;
-            }
+    /**
+     * Edges of the given geometry ('delaunay' or 'voronoi') for a set of points
+     */
+    getGeometryEdges(points, geometry = this.geometry) {
+        return geometry === 'voronoi' ? this.getVoronoiEdgesFromPoints(points) : this.getEdgesFromPoints(points);
+    }
+    
+    getTrianglesFromPoints(points) {
+        if (points.length < 3) return [];
+        
+        const triangles = Delaunator.from(points.map(p => [p.x, p.y])).triangles;
+        const result = [];
+        for (let i = 0; i < triangles.length; i += 3) {
+            result.push([points[triangles[i]], points[triangles[i + 1]], points[triangles[i + 2]]]);
         }
-        return count;
+        return result;
     }
     
-    // Add random cells to reach target count
-    addRandomCells(targetCount) {
-        const emptyCells = [];
-        for (let i = 0; i < this.gridSize; i++) {
-            for (let j = 0; j < this.gridSize; j++) {
-                if (this.grid[i][j] === 0) {
-                    emptyCells.push({ i, j });
-                }
-            }
+    /**
+     * Export the current formation as plotter-ready SVG
+     * options.layers - 'hue' for one layer per hue band, otherwise a single layer
+     * options.bands  - number of hue bands (default 6)
+     * Other options (strokeWidth, precision, background) go to plotToSVG
+     */
+    exportSVG(options = {}) {
+        return logoToSVG(this.getGeometryEdges(this.currentPoints), this.size, { hue: this.hue, ...options });
+    }
+    
+    downloadSVG(filename = `codefarm-logo-${this.seed}.svg`, options = {}) {
+        downloadFile(this.exportSVG(options), filename, 'image/svg+xml');
+    }
+    
+    /**
+     * Export the current formation for laser cutting (DXF) or 3D printing (STL)
+     * Options are passed on to meshToDXF / meshToSTL in fabricate.js
+     */
+    exportDXF(options = {}) {
+        return meshToDXF(this.getTrianglesFromPoints(this.currentPoints), {
+            width: this.size,
+            height: this.size,
+            ...options
+        });
+    }
+    
+    exportSTL(options = {}) {
+        return meshToSTL(this.getTrianglesFromPoints(this.currentPoints), {
+            width: this.size,
+            height: this.size,
+            ...options
+        });
+    }
+    
+    downloadDXF(filename = `codefarm-logo-${this.seed}.dxf`, options = {}) {
+        downloadFile(this.exportDXF(options), filename, 'application/dxf');
+    }
+    
+    downloadSTL(filename = `codefarm-logo-${this.seed}.stl`, options = {}) {
+        downloadFile(this.exportSTL(options), filename, 'model/stl');
+    }
+    
+    /**
+     * Draw the formation on its own canvas at any resolution, styled like the
+     * live logo (full quality); a morph in progress is drawn as where it ends
+     * options.size       - width and height in pixels (default 4096)
+     * options.background - CSS colour, or null for transparent (default black)
+     * Returns the canvas (an OffscreenCanvas where supported)
+     */
+    renderPoster(options = {}) {
+        const { size = 4096, background = '#000000' } = options;
+        if (!Number.isInteger(size) || size < 1) {
+            throw new Error(`Invalid poster size "${size}" - expected a whole number of pixels`);
         }
         
-        // Shuffle and pick cells to fill
-        for (let i = emptyCells.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [emptyCells[i], emptyCells[j]] = [emptyCells[j], emptyCells[i]];
+        // Laid out in the logo's CSS pixels and scaled up, glows included
+        const view = this.size || size;
+        const canvas = createOffscreenCanvas(size, size);
+        const renderer = new Canvas2DRenderer(canvas);
+        renderer.resize(view, view, size / view);
+        
+        if (background) {
+            renderer.ctx.fillStyle = background;
+            renderer.ctx.fillRect(0, 0, view, view);
         }
         
-        const currentCount = this.countLivingCells();
-        const needed = targetCount - currentCount;
+        const points = this.isMorphing ? this.targetPoints : this.currentPoints;
+        const edges = this.getGeometryEdges(points).map(edge => ({ ...edge, hueIndex: edge.index, alpha: 1 }));
+        this.drawEdges(renderer, 'full', edges);
+        this.drawDots(renderer, 'full', points);
         
-        for (let k = 0; k < Math.min(needed, emptyCells.length); k++) {
-            const { i, j } = emptyCells[k];
-            this.grid[i][j] = 1;
-        }
+        return canvas;
     }
     
-    countNeighbors(x, y) {
-        let count = 0;
-        for (let i = -1; i <= 1; i++) {
-            for (let j = -1; j <= 1; j++) {
-                if (i === 0 && j === 0) continue;
-                const col = (x + i + this.gridSize) % this.gridSize;
-                const row = (y + j + this.gridSize) % this.gridSize;
-                count += this.grid[col][row];
-            }
+    /**
+     * PNG of renderPoster(options), as a Promise of a Blob
+     */
+    exportPNG(options = {}) {
+        const canvas = this.renderPoster(options);
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type: 'image/png' });
         }
-        return count;
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
     }
     
-    updateGrid() {
-        for (let i = 0; i < this.gridSize; i++) {
-            for (let j = 0; j < this.gridSize; j++) {
-                const neighbors = this.countNeighbors(i, j);
-                const currentState = this.grid[i][j];
-                
-                if (currentState === 1) {
-                    this.nextGrid[i][j] = (neighbors < 2 || neighbors > 3) ? 0 : 1;
-                } else {
-                    this.nextGrid[i][j] = (neighbors === 3) ? 1 : 0;
-                }
-            }
-        }
-        
-        [this.grid, this.nextGrid] = [this.nextGrid, this.grid];
+    downloadPNG(filename = `codefarm-logo-${this.seed}.png`, options = {}) {
+        return this.exportPNG(options).then(blob => downloadFile(blob, filename));
     }
     
-    collectLivingCells() {
-        const cells = [];
-        for (let i = 0; i < this.gridSize; i++) {
-            for (let j = 0; j < this.gridSize; j++) {
-                if (this.grid[i][j] === 1) {
-                    cells.push({
-                        x: i * this.cellSize + this.cellSize / 2,
-                        y: j * this.cellSize + this.cellSize / 2,
-                        gridX: i,
-                        gridY: j
-                    });
-                }
+    /**
+     * Record the logo to WebM through canvas.captureStream and MediaRecorder
+     * Moves on to a new formation straight away and stops once `cycles`
+     * morphs have played with their holds, or early when `signal` aborts
+     * options - { cycles (default 3), fps (default 60), mimeType, videoBitsPerSecond, signal }
+     * Returns a Promise of the clip as a Blob, at the canvas resolution; it
+     * rejects when recording is unsupported or the logo is not evolving
+     */
+    record(options = {}) {
+        const { cycles = 3, fps = 60, mimeType, videoBitsPerSecond, signal = null } = options;
+        
+        // Errors thrown in here reject the Promise
+        return new Promise((resolve, reject) => {
+            if (!Number.isInteger(cycles) || cycles < 1) {
+                throw new Error(`Invalid cycles "${cycles}" - expected a whole number of 1 or more`);
             }
-        }
-        return cells;
+            if (typeof MediaRecorder === 'undefined' || !this.canvas.captureStream) {
+                throw new Error('Recording needs canvas.captureStream and MediaRecorder');
+            }
+            if (this.recording) {
+                throw new Error('Already recording');
+            }
+            if (this.reducedMotion || this.frozen) {
+                throw new Error('Nothing to record - the logo is not evolving');
+            }
+            
+            const type = mimeType || WEBM_TYPES.find(candidate => MediaRecorder.isTypeSupported(candidate));
+            const stream = this.canvas.captureStream(fps);
+            const stopTracks = () => stream.getTracks().forEach(track => track.stop());
+            
+            // An unsupported mimeType or an empty stream throws here; release
+            // the capture so a later record() can start afresh
+            let recorder;
+            try {
+                recorder = new MediaRecorder(stream, { mimeType: type, videoBitsPerSecond });
+                recorder.start();
+            } catch (error) {
+                stopTracks();
+                throw error;
+            }
+            const chunks = [];
+            
+            const stop = () => {
+                if (recorder.state !== 'inactive') recorder.stop();
+            };
+            const finish = () => {
+                stopTracks();
+                if (signal) signal.removeEventListener('abort', stop);
+                if (this.recording && this.recording.recorder === recorder) this.recording = null;
+            };
+            
+            recorder.addEventListener('dataavailable', (e) => {
+                if (e.data.size > 0) chunks.push(e.data);
+            });
+            recorder.addEventListener('stop', () => {
+                finish();
+                resolve(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }));
+            });
+            recorder.addEventListener('error', (e) => {
+                finish();
+                reject(e.error);
+            });
+            
+            this.recording = { recorder, cycles, started: 0, stop };
+            if (signal) {
+                signal.addEventListener('abort', stop, { once: true });
+                if (signal.aborted) stop();
+            }
+            if (this.isPaused && recorder.state === 'recording') {
+                recorder.pause();
+            }
+            
+            // Open on a fresh formation
+            this.settleMorph();
+            this.evolveAt = this.time();
+            this.startDrawLoop();
+        });
     }
     
-    getEdgesFromPoints(points) {
-        if (points.length < 3) return [];
-        
-        const coords = points.map(p => [p.x, p.y]);
-        const delaunay = Delaunator.from(coords);
-        const edges = [];
-        const triangles = delaunay.triangles;
-        
-        // Extract unique edges from triangles
-        const edgeSet = new Set();
-        for (let i = 0; i < triangles.length; i += 3) {
-            const pairs = [
-                [triangles[i], triangles[i + 1]],
-                [triangles[i + 1], triangles[i + 2]],
-                [triangles[i + 2], triangles[i]]
-            ];
-            
-            for (const [a, b] of pairs) {
-                const key = a < b ? `${a}-${b}` : `${b}-${a}`;
-                if (!edgeSet.has(key)) {
-                    edgeSet.add(key);
-                    edges.push({
-                        p1: points[a],
-                        p2: points[b],
-                        index: edges.length
-                    });
-                }
-            }
-        }
-        
-        return edges;
+    downloadWebM(filename = `codefarm-logo-${this.seed}.webm`, options = {}) {
+        return this.record(options).then(blob => downloadFile(blob, filename));
     }
     
-    // Match points between formations for smooth morphing
+    /**
+     * Match points between formations for smooth morphing: the pairing with
+     * the least total travel, so paths do not cross; the rest fade out / in
+     * Entries follow the target points in order, then the points fading out
+     */
     matchPoints(current, target) {
-        // If we have more current points, some will fade out
-        // If we have more target points, some will fade in
-        const matched = [];
-        const usedTargets = new Set();
-        
-        // For each current point, find nearest target
-        for (const cp of current) {
-            let bestDist = Infinity;
-            let bestTarget = null;
-            let bestIdx = -1;
-            
-            for (let i = 0; i < target.length; i++) {
-                if (usedTargets.has(i)) continue;
-                const tp = target[i];
-                const dist = Math.hypot(cp.x - tp.x, cp.y - tp.y);
-                if (dist < bestDist) {
-                    bestDist = dist;
-                    bestTarget = tp;
-                    bestIdx = i;
-                }
-            }
-            
-            if (bestTarget && bestDist < this.canvas.width * 0.6) {
-                usedTargets.add(bestIdx);
-                matched.push({
-                    from: cp,
-                    to: bestTarget,
-                    fadeIn: false,
-                    fadeOut: false
-                });
-            } else {
-                // This point fades out (moves to center and disappears)
-                matched.push({
-                    from: cp,
-                    to: { x: this.canvas.width / 2, y: this.canvas.height / 2 },
-                    fadeIn: false,
-                    fadeOut: true
-                });
+        const center = { x: this.size / 2, y: this.size / 2 };
+        const { pairs, unmatchedFrom } = matchPointSets(current, target, this.size * 0.6);
+        const source = new Map(pairs.map(([i, j]) => [j, i]));
+        
+        const matched = target.map((to, toIndex) => {
+            if (!source.has(toIndex)) {
+                // This point fades in from the center
+                return { from: center, to, fromIndex: null, toIndex, fadeIn: true, fadeOut: false };
             }
-        }
+            const fromIndex = source.get(toIndex);
+            return { from: current[fromIndex], to, fromIndex, toIndex, fadeIn: false, fadeOut: false };
+        });
         
-        // Any unmatched targets fade in
-        for (let i = 0; i < target.length; i++) {
-            if (!usedTargets.has(i)) {
-                matched.push({
-                    from: { x: this.canvas.width / 2, y: this.canvas.height / 2 },
-                    to: target[i],
-                    fadeIn: true,
-                    fadeOut: false
-                });
-            }
-        }
+        // These points move to the center and disappear
+        unmatchedFrom.forEach(fromIndex => {
+            matched.push({ from: current[fromIndex], to: center, fromIndex, toIndex: null, fadeIn: false, fadeOut: true });
+        });
         
         return matched;
     }
     
+    /**
+     * Line up the Delaunay edges before and after a morph, as [a, b] indices
+     * into morphData; edges in both meshes stay, the others fade out or in
+     * `from` / `to` are an edge's index in the old / new mesh, null if absent
+     */
+    matchEdges(current, target, morphData) {
+        const entries = new Map(); // Index in `current` -> index in morphData
+        morphData.forEach((match, k) => {
+            if (!match.fadeIn) entries.set(match.fromIndex, k);
+        });
+        
+        const key = (a, b) => a < b ? `${a}-${b}` : `${b}-${a}`;
+        const edges = new Map();
+        
+        // Target points come first in morphData, with the same indices
+        delaunayEdgePairs(target).forEach(([a, b], index) => {
+            edges.set(key(a, b), { a, b, from: null, to: index });
+        });
+        delaunayEdgePairs(current).forEach(([i, j], index) => {
+            const a = entries.get(i);
+            const b = entries.get(j);
+            const shared = edges.get(key(a, b));
+            if (shared) {
+                shared.from = index;
+            } else {
+                edges.set(key(a, b), { a, b, from: index, to: null });
+            }
+        });
+        
+        return [...edges.values()];
+    }
+    
     // Easing function for smooth animation
     easeInOutCubic(t) {
         return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
@@ -800,198 +2087,305 @@ class HeroLogoAnimation {
         const points = [];
         
         for (const match of this.morphData) {
-            // Skip fading out points at end, skip fading in points at start
-            if (match.fadeOut && eased > 0.9) continue;
-            if (match.fadeIn && eased < 0.1) continue;
+            // Fading out points are gone near the end, fading in ones near the start;
+            // they stay in the list so indices keep lining up with morphData
+            const hidden = (match.fadeOut && eased > 0.9) || (match.fadeIn && eased < 0.1);
             
             const x = match.from.x + (match.to.x - match.from.x) * eased;
             const y = match.from.y + (match.to.y - match.from.y) * eased;
             
             // Calculate opacity for fading points
             let opacity = 1;
-            if (match.fadeOut) {
+            if (hidden) {
+                opacity = 0;
+            } else if (match.fadeOut) {
                 opacity = 1 - eased;
             } else if (match.fadeIn) {
                 opacity = eased;
             }
             
-            points.push({ x, y, opacity });
+            // Colour slides from the point's place in the old list to the new one
+            let hueIndex = match.fromIndex + (match.toIndex - match.fromIndex) * eased;
+            if (match.fadeOut) hueIndex = match.fromIndex;
+            if (match.fadeIn) hueIndex = match.toIndex;
+            
+            // Keyed by the cell a point is heading to (see disturb)
+            const key = match.fadeOut ? `out:${this.pointKey(match.from)}` : this.pointKey(match.to);
+            points.push({ x, y, opacity, key, hueIndex, leaving: match.fadeOut, hidden });
         }
         
         return points;
     }
     
     runSimulation() {
-        // Run Game of Life simulation with early stopping
-        for (let f = 0; f < this.maxFrames; f++) {
-            this.updateGrid();
-            
-            // Check cell count - stop early if dropping too low
-            const cellCount = this.countLivingCells();
-            if (cellCount <= this.minCells) {
-                // Stop simulation early to preserve cells
-                break;
-            }
-        }
-        
-        // Ensure we have enough cells for nice triangulation
-        const cellCount = this.countLivingCells();
-        if (cellCount < this.targetCells) {
-            this.addRandomCells(this.targetCells);
-        }
-        
+        evolveFormation(this.life, this.random, this);
+        this.showFormation();
+    }
+    
+    /**
+     * Put the live cells on screen: straight away the first time, otherwise
+     * by morphing from the current points
+     */
+    showFormation() {
         // Get new target points
         const newPoints = this.collectLivingCells();
         
         if (this.currentPoints.length === 0) {
             // First run - no morphing needed
             this.currentPoints = newPoints;
-            this.edges = this.getEdgesFromPoints(this.currentPoints);
             this.startDrawLoop();
             
             // Schedule next evolution
-            setTimeout(() => this.evolveToNextFormation(), 3000);
+            this.scheduleEvolution(3000);
         } else {
             // Setup morph from current to new
             this.targetPoints = newPoints;
             this.morphData = this.matchPoints(this.currentPoints, this.targetPoints);
-            this.morphStartTime = performance.now();
+            this.morphEdges = this.matchEdges(this.currentPoints, this.targetPoints, this.morphData);
+            this.morphStartTime = this.time();
             this.isMorphing = true;
+            
+            // Springs follow their points to the cells they move to
+            const springs = new Map();
+            this.morphData.forEach(match => {
+                const spring = this.springs.get(this.pointKey(match.from));
+                if (spring && !match.fadeIn) {
+                    springs.set(match.fadeOut ? `out:${this.pointKey(match.from)}` : this.pointKey(match.to), spring);
+                }
+            });
+            this.springs = springs;
         }
     }
     
     evolveToNextFormation() {
+        if (this.alternateGeometry) {
+            this.previousGeometry = this.geometry;
+            this.geometry = this.geometry === 'voronoi' ? 'delaunay' : 'voronoi';
+        }
+        
         // Reinitialize grid with some randomness influenced by current state
         const density = 0.42;
         for (let i = 0; i < this.gridSize; i++) {
             for (let j = 0; j < this.gridSize; j++) {
                 // Mix of random and pattern-based seeding
                 // Higher chance to keep existing cells for continuity
-                const keepOld = this.grid[i][j] === 1 && Math.random() < 0.4;
-                this.grid[i][j] = keepOld || Math.random() < density ? 1 : 0;
+                const keepOld = this.life.get(i, j) === 1 && this.random() < 0.4;
+                this.life.set(i, j, keepOld || this.random() < density);
             }
         }
         
+        // Cells seeded or painted by the visitor
+        this.seeds.forEach(index => {
+            this.life.cells[index] = 1;
+        });
+        this.seeds.clear();
+        
         this.currentFrame = 0;
         this.runSimulation();
     }
     
     draw() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.quality.frame(this.clock.now());
+        this.renderer.clear();
         
         let pointsToDraw = this.currentPoints;
+        let blend = 1; // Weight of the current geometry against the previous one
         
         // Handle morphing
         if (this.isMorphing) {
-            const elapsed = performance.now() - this.morphStartTime;
+            const elapsed = this.time() - this.morphStartTime;
             const progress = Math.min(1, elapsed / this.morphDuration);
             
             pointsToDraw = this.getInterpolatedPoints(progress);
+            blend = this.easeInOutCubic(progress);
             
             if (progress >= 1) {
                 // Morph complete
                 this.isMorphing = false;
                 this.currentPoints = this.targetPoints;
+                this.previousGeometry = this.geometry;
                 pointsToDraw = this.currentPoints;
                 
                 // Schedule next evolution
-                setTimeout(() => this.evolveToNextFormation(), 2500);
+                this.scheduleEvolution(2500);
             }
         }
         
-        // Get edges for current points
-        const edges = this.getEdgesFromPoints(pointsToDraw);
+        const now = this.time();
+        const dt = this.lastDrawTime === null ? 0 : Math.min(0.05, (now - this.lastDrawTime) / 1000);
+        this.lastDrawTime = now;
+        pointsToDraw = this.disturb(pointsToDraw, dt);
+        
+        if (this.jitter > 0) {
+            pointsToDraw = pointsToDraw.map((p, k) => ({
+                ...p,
+                x: p.x + this.jitter * Math.sin(now / 45 + k * 2.4),
+                y: p.y + this.jitter * Math.cos(now / 55 + k * 1.7)
+            }));
+        }
         
-        // Draw edges with RGB gradient and glow
-        edges.forEach((edge, index) => {
-            const opacity = Math.min(edge.p1.opacity || 1, edge.p2.opacity || 1);
-            
-            // Create gradient for this line - use stable hue offsets per edge
-            const gradient = this.ctx.createLinearGradient(
-                edge.p1.x, edge.p1.y,
-                edge.p2.x, edge.p2.y
-            );
-            
-            // RGB gradient with stable offsets - slower hue change
-            const baseHue = this.hue;
-            const hue1 = (baseHue + index * 20) % 360;
-            const hue2 = (baseHue + index * 20 + 60) % 360;
-            const hue3 = (baseHue + index * 20 + 120) % 360;
-            
-            gradient.addColorStop(0, `hsla(${hue1}, 100%, 60%, ${opacity})`);
-            gradient.addColorStop(0.5, `hsla(${hue2}, 100%, 60%, ${opacity})`);
-            gradient.addColorStop(1, `hsla(${hue3}, 100%, 60%, ${opacity})`);
-            
-            // Draw glow effect (multiple strokes with increasing blur)
-            this.ctx.save();
-            
-            // Outer glow - use average hue for shadow
-            const avgHue = (hue1 + hue2 + hue3) / 3;
-            this.ctx.shadowBlur = 8;
-            this.ctx.shadowColor = `hsl(${avgHue}, 100%, 50%)`;
-            this.ctx.strokeStyle = gradient;
-            this.ctx.lineWidth = 3;
-            this.ctx.beginPath();
-            this.ctx.moveTo(edge.p1.x, edge.p1.y);
-            this.ctx.lineTo(edge.p2.x, edge.p2.y);
-            this.ctx.stroke();
-            
-            // Inner bright line
-            this.ctx.shadowBlur = 4;
-            this.ctx.strokeStyle = gradient;
-            this.ctx.lineWidth = 2;
-            this.ctx.beginPath();
-            this.ctx.moveTo(edge.p1.x, edge.p1.y);
-            this.ctx.lineTo(edge.p2.x, edge.p2.y);
-            this.ctx.stroke();
-            
-            // Core bright line
-            this.ctx.shadowBlur = 0;
-            this.ctx.strokeStyle = gradient;
-            this.ctx.lineWidth = 1.5;
-            this.ctx.beginPath();
-            this.ctx.moveTo(edge.p1.x, edge.p1.y);
-            this.ctx.lineTo(edge.p2.x, edge.p2.y);
-            this.ctx.stroke();
-            
-            this.ctx.restore();
-        });
-        
-        // Draw subtle vertex dots with glow
-        pointsToDraw.forEach((p, index) => {
-            const opacity = p.opacity || 1;
-            if (opacity > 0.3) {
-                const hue = (this.hue + index * 25) % 360;
-                
-                this.ctx.save();
-                this.ctx.shadowBlur = 6;
-                this.ctx.shadowColor = `hsl(${hue}, 100%, 50%)`;
-                
-                this.ctx.beginPath();
-                this.ctx.arc(p.x, p.y, 2.5, 0, Math.PI * 2);
-                this.ctx.fillStyle = `hsla(${hue}, 100%, 60%, ${0.6 * opacity})`;
-                this.ctx.fill();
-                
-                this.ctx.restore();
-            }
+        // Cross-fade from the old geometry while switching Delaunay <-> Voronoi
+        const layers = this.previousGeometry !== this.geometry && blend < 1
+            ? [[this.previousGeometry, 1 - blend], [this.geometry, blend]]
+            : [[this.geometry, 1]];
+        
+        layers.forEach(([geometry, weight]) => {
+            this.drawEdges(this.renderer, this.quality.tier, this.getDrawEdges(pointsToDraw, geometry, blend), weight);
         });
+        this.drawDots(this.renderer, this.quality.tier, pointsToDraw);
+        
+        // Keyboard cursor
+        if (this.cursor && this.isInteractive) {
+            const center = this.cellCenter(this.cursor.col, this.cursor.row);
+            this.renderer.drawDots([{ ...center, hue: this.hue, alpha: 0.35 }], this.quality.tier, {
+                radius: this.cellSize / 3,
+                blur: 10,
+                lightness: 70
+            });
+        }
         
         // Slower, smoother hue change
         this.hue = (this.hue + this.hueSpeed) % 360;
     }
     
+    /**
+     * Draw edges with RGB gradient and glow - stable hue offsets per edge
+     */
+    drawEdges(renderer, tier, edges, weight = 1) {
+        renderer.drawEdges(edges.map(edge => ({
+            p1: edge.p1,
+            p2: edge.p2,
+            hue: this.hue + edge.hueIndex * 20,
+            alpha: edge.alpha * weight
+        })), tier, {
+            blur: [8, 4],
+            widths: [3, 2, 1.5].map(width => width * this.lineScale)
+        });
+    }
+    
+    /**
+     * Draw subtle vertex dots with glow
+     */
+    drawDots(renderer, tier, points) {
+        const dots = [];
+        points.forEach((p, index) => {
+            const opacity = p.opacity ?? 1;
+            if (opacity > 0.3) {
+                dots.push({ x: p.x, y: p.y, hue: (this.hue + (p.hueIndex ?? index) * 25) % 360, alpha: 0.6 * opacity });
+            }
+        });
+        renderer.drawDots(dots, tier, { radius: 2.5, blur: 6, lightness: 60 });
+    }
+    
+    /**
+     * Edges to draw for the points on screen, with a hue index and alpha each
+     * Delaunay edges are not rebuilt every frame: at rest they come from the
+     * formation's mesh, and while morphing shared edges stay put and the rest
+     * fade out or in (eased is the morph progress)
+     */
+    getDrawEdges(points, geometry, eased) {
+        const opacity = p => p.opacity ?? 1;
+        
+        if (geometry === 'voronoi') {
+            // Voronoi edges join circumcenters, which have no identity from one
+            // formation to the next, so these follow the visible points
+            return this.getVoronoiEdgesFromPoints(points.filter(p => !p.hidden)).map(edge => ({
+                p1: edge.p1,
+                p2: edge.p2,
+                hueIndex: edge.index,
+                alpha: 1
+            }));
+        }
+        
+        if (!this.isMorphing) {
+            return this.getMeshEdges().map(([a, b], index) => ({
+                p1: points[a],
+                p2: points[b],
+                hueIndex: index,
+                alpha: 1
+            }));
+        }
+        
+        return this.morphEdges.map(({ a, b, from, to }) => {
+            let alpha = Math.min(opacity(points[a]), opacity(points[b]));
+            let hueIndex = from + (to - from) * eased;
+            if (from === null) {
+                alpha *= eased;
+                hueIndex = to;
+            } else if (to === null) {
+                alpha *= 1 - eased;
+                hueIndex = from;
+            }
+            return { p1: points[a], p2: points[b], hueIndex, alpha };
+        });
+    }
+    
     startDrawLoop() {
-        if (this.isAnimating) return;
+        if (this.isAnimating || this.isPaused) return;
         this.isAnimating = true;
         
         const animate = () => {
+            this.frameId = null;
+            
+            if (this.audio) {
+                this.applyAudio(this.audio.sample(this.time()));
+            }
+            
+            // No new formation in the middle of a drag
+            if (this.evolveAt !== null && this.time() >= this.evolveAt && !this.stroke) {
+                this.evolveAt = null;
+                
+                // A clip ends where its next cycle would start
+                if (this.recording && ++this.recording.started > this.recording.cycles) {
+                    this.recording.stop();
+                }
+                this.evolveToNextFormation();
+            }
+            
             this.draw();
-            requestAnimationFrame(animate);
+            
+            // A static formation needs no further frames
+            if (this.reducedMotion && !this.isMorphing) {
+                this.isAnimating = false;
+                return;
+            }
+            this.frameId = this.clock.requestFrame(animate);
         };
         animate();
     }
 }
 
-// Export for use
-window.TriangulationEngine = TriangulationEngine;
-window.HeroLogoAnimation = HeroLogoAnimation;
+// Export for use (self is the window on the page and the global scope in the overlay worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRIANGLE_RENDER_MODES,
+        REVEAL_STRATEGIES,
+        REVEAL_EVENTS,
+        DEFAULT_PROFILE,
+        LOGO_FORMATION,
+        validateProfile,
+        profileFromDataset,
+        evolveFormation,
+        delaunayEdgePairs,
+        generateFormation,
+        logoToSVG,
+        RevealEmitter,
+        TriangulationEngine,
+        HeroLogoAnimation
+    };
+} else {
+    self.TRIANGLE_RENDER_MODES = TRIANGLE_RENDER_MODES;
+    self.REVEAL_STRATEGIES = REVEAL_STRATEGIES;
+    self.REVEAL_EVENTS = REVEAL_EVENTS;
+    self.DEFAULT_PROFILE = DEFAULT_PROFILE;
+    self.LOGO_FORMATION = LOGO_FORMATION;
+    self.validateProfile = validateProfile;
+    self.profileFromDataset = profileFromDataset;
+    self.evolveFormation = evolveFormation;
+    self.delaunayEdgePairs = delaunayEdgePairs;
+    self.generateFormation = generateFormation;
+    self.logoToSVG = logoToSVG;
+    self.RevealEmitter = RevealEmitter;
+    self.TriangulationEngine = TriangulationEngine;
+    self.HeroLogoAnimation = HeroLogoAnimation;
+}
@@ -0,0 +1,323 @@
+/**
+ * CODEFARM Voronoi
+ * The Voronoi dual of a Delaunator triangulation: cells and edges built from
+ * triangle circumcenters and `halfedges`, clipped to a rectangle
+ * No DOM access - loads as a browser script or as a Node module
+ *
+ * Points are { x, y } objects; bounds are { x0, y0, x1, y1 } or { width, height }.
+ */
+
+function nextHalfedge(e) {
+    return e % 3 === 2 ? e - 2 : e + 1;
+}
+
+function circumcenter(a, b, c) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const ex = c.x - a.x;
+    const ey = c.y - a.y;
+    const bl = dx * dx + dy * dy;
+    const cl = ex * ex + ey * ey;
+    const d = 2 * (dx * ey - dy * ex);
+
+    // Collinear triangles have no circumcenter; use the centroid
+    if (Math.abs(d) < 1e-12) {
+        return { x: (a.x + b.x + c.x) / 3, y: (a.y + b.y + c.y) / 3 };
+    }
+
+    return {
+        x: a.x + (ey * bl - dy * cl) / d,
+        y: a.y + (dx * cl - ex * bl) / d
+    };
+}
+
+function normalizeBounds(bounds) {
+    if ('x0' in bounds) return bounds;
+    return { x0: 0, y0: 0, x1: bounds.width, y1: bounds.height };
+}
+
+/**
+ * Circumcenter of every Delaunay triangle, indexed by triangle
+ */
+function triangleCircumcenters(points, delaunay) {
+    const { triangles } = delaunay;
+    const centers = [];
+
+    for (let t = 0; t < triangles.length / 3; t++) {
+        centers.push(circumcenter(
+            points[triangles[t * 3]],
+            points[triangles[t * 3 + 1]],
+            points[triangles[t * 3 + 2]]
+        ));
+    }
+
+    return centers;
+}
+
+/**
+ * Clip a convex polygon to a rectangle (Sutherland-Hodgman)
+ */
+function clipPolygon(polygon, bounds) {
+    const { x0, y0, x1, y1 } = normalizeBounds(bounds);
+    const sides = [
+        [p => p.x >= x0, (a, b) => ({ x: x0, y: a.y + (b.y - a.y) * (x0 - a.x) / (b.x - a.x) })],
+        [p => p.x <= x1, (a, b) => ({ x: x1, y: a.y + (b.y - a.y) * (x1 - a.x) / (b.x - a.x) })],
+        [p => p.y >= y0, (a, b) => ({ x: a.x + (b.x - a.x) * (y0 - a.y) / (b.y - a.y), y: y0 })],
+        [p => p.y <= y1, (a, b) => ({ x: a.x + (b.x - a.x) * (y1 - a.y) / (b.y - a.y), y: y1 })]
+    ];
+
+    let output = polygon;
+    for (const [inside, intersect] of sides) {
+        const input = output;
+        output = [];
+
+        for (let i = 0; i < input.length; i++) {
+            const current = input[i];
+            const previous = input[(i + input.length - 1) % input.length];
+
+            if (inside(current)) {
+                if (!inside(previous)) output.push(intersect(previous, current));
+                output.push(current);
+            } else if (inside(previous)) {
+                output.push(intersect(previous, current));
+            }
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Clip a segment to a rectangle (Liang-Barsky); null when it lies outside
+ */
+function clipSegment(p1, p2, bounds) {
+    const { x0, y0, x1, y1 } = normalizeBounds(bounds);
+    const dx = p2.x - p1.x;
+    const dy = p2.y - p1.y;
+    let t0 = 0;
+    let t1 = 1;
+
+    const checks = [[-dx, p1.x - x0], [dx, x1 - p1.x], [-dy, p1.y - y0], [dy, y1 - p1.y]];
+    for (const [p, q] of checks) {
+        if (p === 0) {
+            if (q < 0) return null;
+            continue;
+        }
+
+        const r = q / p;
+        if (p < 0) {
+            if (r > t1) return null;
+            if (r > t0) t0 = r;
+        } else {
+            if (r < t0) return null;
+            if (r < t1) t1 = r;
+        }
+    }
+
+    return {
+        p1: { x: p1.x + dx * t0, y: p1.y + dy * t0 },
+        p2: { x: p1.x + dx * t1, y: p1.y + dy * t1 }
+    };
+}
+
+/**
+ * Unit vector perpendicular to hull edge a -> b, pointing away from `inner`
+ */
+function outwardNormal(a, b, inner) {
+    const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    let nx = -(b.y - a.y) / length;
+    let ny = (b.x - a.x) / length;
+
+    if (nx * (inner.x - a.x) + ny * (inner.y - a.y) > 0) {
+        nx = -nx;
+        ny = -ny;
+    }
+    return { x: nx, y: ny };
+}
+
+/**
+ * Voronoi cell of every point, clipped to bounds
+ * Returns [{ site, index, polygon }] in the order of `points`; duplicate points
+ * get an empty polygon
+ */
+function voronoiCells(points, bounds, delaunay = Delaunator.from(points.map(p => [p.x, p.y]))) {
+    const box = normalizeBounds(bounds);
+    const { triangles, halfedges } = delaunay;
+    const far = 4 * ((box.x1 - box.x0) + (box.y1 - box.y0));
+
+    // Too few points (or all collinear) for triangles: clip half-planes directly
+    if (triangles.length === 0) {
+        return points.map((site, index) => {
+            let polygon = [
+                { x: box.x0, y: box.y0 }, { x: box.x1, y: box.y0 },
+                { x: box.x1, y: box.y1 }, { x: box.x0, y: box.y1 }
+            ];
+
+            points.forEach(other => {
+                const dx = other.x - site.x;
+                const dy = other.y - site.y;
+                if (dx === 0 && dy === 0) return;
+
+                const mid = { x: site.x + dx / 2, y: site.y + dy / 2 };
+                polygon = clipHalfPlane(polygon, mid, { x: dx, y: dy });
+            });
+
+            return { site, index, polygon };
+        });
+    }
+
+    const centers = triangleCircumcenters(points, delaunay);
+
+    // One incoming halfedge per point; on the hull, the one with no twin, so
+    // walking around the point covers every triangle that touches it
+    const inedges = new Int32Array(points.length).fill(-1);
+    for (let e = 0; e < halfedges.length; e++) {
+        const p = triangles[nextHalfedge(e)];
+        if (halfedges[e] === -1 || inedges[p] === -1) {
+            inedges[p] = e;
+        }
+    }
+
+    return points.map((site, index) => {
+        const start = inedges[index];
+        if (start === -1) return { site, index, polygon: [] };
+
+        const chain = [];
+        let incoming = start;
+        let outgoing;
+        do {
+            chain.push(centers[Math.floor(incoming / 3)]);
+            outgoing = nextHalfedge(incoming);
+            incoming = halfedges[outgoing];
+        } while (incoming !== -1 && incoming !== start);
+
+        let polygon = chain;
+
+        // Hull point: the cell is open, so close it with rays running outward
+        // from the first and last circumcenters, far beyond the bounds
+        if (incoming === -1) {
+            const firstEdgeFrom = points[triangles[start]];
+            const firstInner = points[triangles[nextHalfedge(nextHalfedge(start))]];
+            const startNormal = outwardNormal(firstEdgeFrom, site, firstInner);
+
+            const lastEdgeTo = points[triangles[nextHalfedge(outgoing)]];
+            const lastInner = points[triangles[nextHalfedge(nextHalfedge(outgoing))]];
+            const endNormal = outwardNormal(site, lastEdgeTo, lastInner);
+
+            const first = chain[0];
+            const last = chain[chain.length - 1];
+            const corner = { x: startNormal.x + endNormal.x, y: startNormal.y + endNormal.y };
+            const cornerLength = Math.hypot(corner.x, corner.y) || 1;
+
+            polygon = [
+                { x: first.x + startNormal.x * far, y: first.y + startNormal.y * far },
+                ...chain,
+                { x: last.x + endNormal.x * far, y: last.y + endNormal.y * far },
+                { x: site.x + corner.x / cornerLength * far, y: site.y + corner.y / cornerLength * far }
+            ];
+        }
+
+        return { site, index, polygon: clipPolygon(polygon, box) };
+    });
+}
+
+/**
+ * Keep the side of the line through `point` that `normal` points away from
+ */
+function clipHalfPlane(polygon, point, normal) {
+    const inside = p => (p.x - point.x) * normal.x + (p.y - point.y) * normal.y <= 0;
+    const output = [];
+
+    for (let i = 0; i < polygon.length; i++) {
+        const current = polygon[i];
+        const previous = polygon[(i + polygon.length - 1) % polygon.length];
+        const intersect = () => {
+            const dp = (previous.x - point.x) * normal.x + (previous.y - point.y) * normal.y;
+            const dc = (current.x - point.x) * normal.x + (current.y - point.y) * normal.y;
+            const t = dp / (dp - dc);
+            return { x: previous.x + (current.x - previous.x) * t, y: previous.y + (current.y - previous.y) * t };
+        };
+
+        if (inside(current)) {
+            if (!inside(previous)) output.push(intersect());
+            output.push(current);
+        } else if (inside(previous)) {
+            output.push(intersect());
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Voronoi edges, each shared edge once, clipped to bounds
+ * Interior edges join the circumcenters of the two triangles on either side
+ * of a Delaunay edge; hull edges become rays running outward
+ * Returns [{ p1, p2, index }] like the Delaunay edge lists
+ */
+function voronoiEdges(points, bounds, delaunay = Delaunator.from(points.map(p => [p.x, p.y]))) {
+    const box = normalizeBounds(bounds);
+    const { triangles, halfedges } = delaunay;
+    const far = 4 * ((box.x1 - box.x0) + (box.y1 - box.y0));
+    const edges = [];
+
+    if (triangles.length === 0) {
+        // Collinear points: take the cell sides that are not on the border
+        const seen = new Set();
+        const key = p => `${p.x.toFixed(2)},${p.y.toFixed(2)}`;
+        const onBorder = (p, q) => (p.x === q.x && (p.x === box.x0 || p.x === box.x1)) ||
+            (p.y === q.y && (p.y === box.y0 || p.y === box.y1));
+
+        voronoiCells(points, box, delaunay).forEach(({ polygon }) => {
+            polygon.forEach((p, i) => {
+                const q = polygon[(i + 1) % polygon.length];
+                const id = [key(p), key(q)].sort().join('|');
+                if (onBorder(p, q) || seen.has(id)) return;
+
+                seen.add(id);
+                edges.push({ p1: p, p2: q, index: edges.length });
+            });
+        });
+        return edges;
+    }
+
+    const centers = triangleCircumcenters(points, delaunay);
+
+    for (let e = 0; e < halfedges.length; e++) {
+        const twin = halfedges[e];
+        let p1;
+        let p2;
+
+        if (twin === -1) {
+            const a = points[triangles[e]];
+            const b = points[triangles[nextHalfedge(e)]];
+            const inner = points[triangles[nextHalfedge(nextHalfedge(e))]];
+            const normal = outwardNormal(a, b, inner);
+            p1 = centers[Math.floor(e / 3)];
+            p2 = { x: p1.x + normal.x * far, y: p1.y + normal.y * far };
+        } else if (e < twin) {
+            p1 = centers[Math.floor(e / 3)];
+            p2 = centers[Math.floor(twin / 3)];
+        } else {
+            continue;
+        }
+
+        const clipped = clipSegment(p1, p2, box);
+        if (clipped) {
+            edges.push({ p1: clipped.p1, p2: clipped.p2, index: edges.length });
+        }
+    }
+
+    return edges;
+}
+
+// Export for use (self is the window on the page and the global scope in a worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { circumcenter, clipPolygon, clipSegment, voronoiCells, voronoiEdges };
+} else {
+    self.circumcenter = circumcenter;
+    self.clipPolygon = clipPolygon;
+    self.clipSegment = clipSegment;
+    self.voronoiCells = voronoiCells;
+    self.voronoiEdges = voronoiEdges;
+}
@@ -1,13 +1,19 @@
-// Grid settings
-const GRID_SIZE = 8;
-const MAX_FRAMES = 20;
-
-// Grid state
-let grid;
-let nextGrid;
-let livingCells = [];
-let frameCount = 0;
-let simulationEnded = false;
+// Grid settings, all adjustable from the controls
+const settings = {
+    gridSize: 8,
+    maxFrames: 20,
+    frameRate: 8, // Generations per second while playing
+    rule: 'B3/S23', // Life-like rule, e.g. B36/S23 (HighLife), B2/S (Seeds)
+    edges: 'wrap' // Border handling: 'wrap', 'dead' or 'mirror'
+};
+
+// Grid state (LifeGrid from ../js/life.js)
+let life;
+let playing = true;
+let lastStepTime = 0;
+let view = 'mesh'; // 'mesh' (triangulated living cells) or 'grid'
+let paintState = null; // State being painted while the pointer is down, null otherwise
+let lastPainted = null;
 let cellSize;
 let canvasSize;
 
@@ -15,8 +21,16 @@ let canvasSize;
 let densitySlider;
 let densityValue;
 let restartBtn;
-let frameCountDisplay;
-let rebirthCountDisplay;
+let generationDisplay;
+let maxFramesDisplay;
+let livingCountDisplay;
+let playBtn;
+let stepBtn;
+let viewBtn;
+let ruleInput;
+let ruleError;
+let exportOutput;
+let exportError;
 
 function setup() {
     // Calculate responsive canvas size
@@ -30,50 +44,57 @@ function setup() {
     densitySlider = select('#densitySlider');
     densityValue = select('#densityValue');
     restartBtn = select('#restartBtn');
-    frameCountDisplay = select('#frameCount');
-    rebirthCountDisplay = select('#rebirthCount');
+    generationDisplay = select('#generationCount');
+    maxFramesDisplay = select('#maxFramesDisplay');
+    livingCountDisplay = select('#livingCount');
+    playBtn = select('#playBtn');
+    stepBtn = select('#stepBtn');
+    viewBtn = select('#viewBtn');
+    ruleInput = select('#ruleInput');
+    ruleError = select('#ruleError');
+    
+    exportOutput = select('#exportOutput');
+    exportError = select('#exportError');
     
     // Setup event listeners
     densitySlider.input(updateDensityDisplay);
     restartBtn.mousePressed(restartSimulation);
+    select('#clearBtn').mousePressed(clearGrid);
+    playBtn.mousePressed(togglePlaying);
+    stepBtn.mousePressed(stepOnce);
+    viewBtn.mousePressed(toggleView);
+    setupSettingControls();
+    select('#exportPreviewBtn').mousePressed(previewExport);
+    select('#exportDownloadBtn').mousePressed(downloadExport);
     
     // Initialize simulation
     initializeGrid();
-    
-    // Set frame rate
-    frameRate(8);
 }
 
 function draw() {
     background(240);
     
-    // Draw grid
-    // drawGrid();
-    
-    // Run simulation if not ended
-    if (!simulationEnded && frameCount < MAX_FRAMES) {
-        updateGrid();
-        frameCount++;
-        frameCountDisplay.html(frameCount);
-        
-        if (frameCount >= MAX_FRAMES) {
-            simulationEnded = true;
-            collectLivingCells();
-            rebirthCountDisplay.html(livingCells.length);
-        }
+    // Step at the chosen frame rate; drawing runs at full speed so painting
+    // stays smooth
+    if (playing && millis() - lastStepTime >= 1000 / settings.frameRate) {
+        stepSimulation();
+        lastStepTime = millis();
     }
     
-    // If simulation ended, draw connections
-    if (simulationEnded) {
+    if (view === 'grid') {
+        drawGrid();
+    } else {
         drawConnections();
     }
+    
+    updateReadout();
 }
 
 function calculateCanvasSize() {
     // Make canvas responsive - use 90% of container width or 600px, whichever is smaller
     let containerWidth = min(windowWidth * 0.85, 600);
     canvasSize = containerWidth;
-    cellSize = canvasSize / GRID_SIZE;
+    cellSize = canvasSize / settings.gridSize;
 }
 
 function windowResized() {
@@ -82,45 +103,27 @@ function windowResized() {
 }
 
 function initializeGrid() {
-    // Create 2D arrays
-    grid = create2DArray(GRID_SIZE);
-    nextGrid = create2DArray(GRID_SIZE);
+    life = new LifeGrid(settings.gridSize, { rule: settings.rule, edges: settings.edges });
+    cellSize = canvasSize / settings.gridSize;
     
     // Populate with random cells based on density
     let density = densitySlider.value() / 100;
-    for (let i = 0; i < GRID_SIZE; i++) {
-        for (let j = 0; j < GRID_SIZE; j++) {
-            grid[i][j] = random() < density ? 1 : 0;
-        }
-    }
+    life.randomize(density, random);
     
-    // Reset tracking variables
-    livingCells = [];
-    frameCount = 0;
-    simulationEnded = false;
-    frameCountDisplay.html(frameCount);
-    rebirthCountDisplay.html(0);
-}
-
-function create2DArray(size) {
-    let arr = new Array(size);
-    for (let i = 0; i < size; i++) {
-        arr[i] = new Array(size).fill(0);
-    }
-    return arr;
+    setPlaying(true);
 }
 
 function drawGrid() {
     stroke(200);
     strokeWeight(1);
     
-    for (let i = 0; i < GRID_SIZE; i++) {
-        for (let j = 0; j < GRID_SIZE; j++) {
+    for (let i = 0; i < settings.gridSize; i++) {
+        for (let j = 0; j < settings.gridSize; j++) {
             let x = i * cellSize;
             let y = j * cellSize;
             
             // Fill based on cell state
-            if (grid[i][j] === 1) {
+            if (life.get(i, j) === 1) {
                 fill(60, 60, 80);
             } else {
                 fill(255);
@@ -131,120 +134,248 @@ function drawGrid() {
     }
 }
 
-function updateGrid() {
+// Whether the run has reached its last frame
+function simulationEnded() {
+    return life.generation >= settings.maxFrames;
+}
+
+function stepSimulation() {
+    if (simulationEnded()) return;
+    
     // Calculate next generation
-    for (let i = 0; i < GRID_SIZE; i++) {
-        for (let j = 0; j < GRID_SIZE; j++) {
-            let neighbors = countNeighbors(i, j);
-            let currentState = grid[i][j];
-            
-            // Conway's Game of Life rules
-            if (currentState === 1) {
-                // Cell is alive
-                if (neighbors < 2 || neighbors > 3) {
-                    nextGrid[i][j] = 0; // Dies
-                } else {
-                    nextGrid[i][j] = 1; // Survives
-                }
-            } else {
-                // Cell is dead
-                if (neighbors === 3) {
-                    nextGrid[i][j] = 1; // Birth
-                } else {
-                    nextGrid[i][j] = 0; // Stays dead
-                }
-            }
-        }
+    life.step();
+    
+    if (simulationEnded()) {
+        setPlaying(false);
     }
+}
+
+function drawConnections() {
+    // Triangulation edges (or the single line between two cells)
+    stroke(100, 150, 255, 200);
+    strokeWeight(2);
+    getMeshEdges().forEach(({ p1, p2 }) => line(p1.x, p1.y, p2.x, p2.y));
     
-    // Swap grids
-    let temp = grid;
-    grid = nextGrid;
-    nextGrid = temp;
+    // Living cells, so painted cells show before they form a triangle
+    noStroke();
+    fill(100, 150, 255);
+    life.collectLiving(cellSize).forEach(p => circle(p.x, p.y, max(4, cellSize * 0.12)));
+}
+
+function updateReadout() {
+    generationDisplay.html(life.generation);
+    livingCountDisplay.html(life.countLiving());
+}
+
+function updateDensityDisplay() {
+    densityValue.html(densitySlider.value() + '%');
+}
+
+function restartSimulation() {
+    initializeGrid();
 }
 
-function countNeighbors(x, y) {
-    let count = 0;
+// Empty grid, paused, ready to paint from scratch
+function clearGrid() {
+    life.clear();
+    setPlaying(false);
+}
+
+function setPlaying(state) {
+    playing = state && !simulationEnded();
+    lastStepTime = millis();
     
-    // Check all 8 neighbors
-    for (let i = -1; i <= 1; i++) {
-        for (let j = -1; j <= 1; j++) {
-            if (i === 0 && j === 0) continue; // Skip center cell
-            
-            let col = (x + i + GRID_SIZE) % GRID_SIZE; // Wrap around
-            let row = (y + j + GRID_SIZE) % GRID_SIZE;
-            
-            count += grid[col][row];
+    playBtn.html(playing ? 'Pause' : 'Play');
+    playBtn.attribute('aria-pressed', String(playing));
+    playBtn.elt.disabled = simulationEnded();
+    stepBtn.elt.disabled = simulationEnded();
+}
+
+function togglePlaying() {
+    setPlaying(!playing);
+}
+
+function stepOnce() {
+    setPlaying(false);
+    stepSimulation();
+}
+
+function toggleView() {
+    view = view === 'grid' ? 'mesh' : 'grid';
+    viewBtn.html(view === 'grid' ? 'Show Mesh' : 'Show Grid');
+}
+
+// Grid size, max frames, frame rate, rule and edge controls
+function setupSettingControls() {
+    const gridSizeSlider = select('#gridSizeSlider');
+    const maxFramesSlider = select('#maxFramesSlider');
+    const frameRateSlider = select('#frameRateSlider');
+    
+    gridSizeSlider.input(() => {
+        settings.gridSize = Number(gridSizeSlider.value());
+        select('#gridSizeValue').html(`${settings.gridSize} × ${settings.gridSize}`);
+        initializeGrid();
+    });
+    
+    // Raising the limit lets an ended run carry on
+    maxFramesSlider.input(() => {
+        settings.maxFrames = Number(maxFramesSlider.value());
+        select('#maxFramesValue').html(settings.maxFrames);
+        maxFramesDisplay.html(settings.maxFrames);
+        setPlaying(playing);
+    });
+    
+    frameRateSlider.input(() => {
+        settings.frameRate = Number(frameRateSlider.value());
+        select('#frameRateValue').html(`${settings.frameRate} / s`);
+    });
+    
+    // The rule applies from the next generation; an invalid one is reported
+    // and the previous rule kept
+    ruleInput.changed(() => {
+        try {
+            life.setRule(ruleInput.value());
+            settings.rule = life.rule.notation;
+            ruleInput.value(settings.rule);
+            ruleError.html('');
+            ruleInput.removeAttribute('aria-invalid');
+        } catch (error) {
+            ruleError.html(error.message);
+            ruleInput.attribute('aria-invalid', 'true');
         }
-    }
+    });
     
-    return count;
+    select('#edgesSelect').changed(() => {
+        settings.edges = select('#edgesSelect').value();
+        life.setEdges(settings.edges);
+    });
 }
 
-function collectLivingCells() {
-    livingCells = [];
-    for (let i = 0; i < GRID_SIZE; i++) {
-        for (let j = 0; j < GRID_SIZE; j++) {
-            if (grid[i][j] === 1) {
-                livingCells.push({x: i, y: j});
-            }
-        }
-    }
+// Grid cell under the pointer, or null when it is off the canvas
+function cellAtPointer() {
+    if (mouseX < 0 || mouseY < 0 || mouseX >= width || mouseY >= height) return null;
+    return { x: floor(mouseX / cellSize), y: floor(mouseY / cellSize) };
 }
 
-function drawConnections() {
-    // Need at least 3 points for triangulation
-    if (livingCells.length < 3) {
-        // If less than 3 points, just draw lines between them
-        if (livingCells.length === 2) {
-            stroke(100, 150, 255, 200);
-            strokeWeight(2);
-            let pos1 = livingCells[0];
-            let pos2 = livingCells[1];
-            let x1 = pos1.x * cellSize + cellSize / 2;
-            let y1 = pos1.y * cellSize + cellSize / 2;
-            let x2 = pos2.x * cellSize + cellSize / 2;
-            let y2 = pos2.y * cellSize + cellSize / 2;
-            line(x1, y1, x2, y2);
-        }
-        return;
-    }
+// Pressing a cell flips it; dragging paints the same state across others
+function mousePressed() {
+    const cell = cellAtPointer();
+    if (!cell) return;
     
-    // Perform Delaunay triangulation
-    const delaunay = Delaunator.from(livingCells.map(pos => [
-        pos.x * cellSize + cellSize / 2,
-        pos.y * cellSize + cellSize / 2
-    ]));
+    paintState = life.get(cell.x, cell.y) ? 0 : 1;
+    paintCell(cell);
+    return false;
+}
+
+function mouseDragged() {
+    if (paintState === null) return;
     
-    // Draw triangulation edges
-    stroke(100, 150, 255, 200);
-    strokeWeight(2);
-    noFill();
+    const cell = cellAtPointer();
+    if (cell) paintCell(cell);
+    return false;
+}
+
+function mouseReleased() {
+    paintState = null;
+    lastPainted = null;
+}
+
+function paintCell(cell) {
+    if (lastPainted && lastPainted.x === cell.x && lastPainted.y === cell.y) return;
+    
+    life.set(cell.x, cell.y, paintState);
+    lastPainted = cell;
+}
+
+// Space plays / pauses, S steps, G switches view, R restarts, C clears
+function keyPressed() {
+    const tag = document.activeElement ? document.activeElement.tagName : '';
+    if (['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON'].includes(tag)) return;
+    
+    const actions = {
+        ' ': togglePlaying,
+        s: stepOnce,
+        g: toggleView,
+        r: restartSimulation,
+        c: clearGrid
+    };
+    const action = actions[key.toLowerCase()];
+    if (!action) return;
+    
+    action();
+    return false;
+}
+
+// Unique triangulation edges of the current grid, in canvas pixels
+function getMeshEdges() {
+    const points = life.collectLiving(cellSize);
     
-    // Draw each triangle edge
-    const triangles = delaunay.triangles;
+    if (points.length === 2) {
+        return [{ p1: points[0], p2: points[1] }];
+    }
+    if (points.length < 3) return [];
+    
+    const triangles = Delaunator.from(points.map(p => [p.x, p.y])).triangles;
+    const edges = [];
     for (let i = 0; i < triangles.length; i += 3) {
-        const p1 = livingCells[triangles[i]];
-        const p2 = livingCells[triangles[i + 1]];
-        const p3 = livingCells[triangles[i + 2]];
-        
-        const x1 = p1.x * cellSize + cellSize / 2;
-        const y1 = p1.y * cellSize + cellSize / 2;
-        const x2 = p2.x * cellSize + cellSize / 2;
-        const y2 = p2.y * cellSize + cellSize / 2;
-        const x3 = p3.x * cellSize + cellSize / 2;
-        const y3 = p3.y * cellSize + cellSize / 2;
-        
-        line(x1, y1, x2, y2);
-        line(x2, y2, x3, y3);
-        line(x3, y3, x1, y1);
+        edges.push(
+            { p1: points[triangles[i]], p2: points[triangles[i + 1]] },
+            { p1: points[triangles[i + 1]], p2: points[triangles[i + 2]] },
+            { p1: points[triangles[i + 2]], p2: points[triangles[i]] }
+        );
     }
+    
+    return uniquePlotEdges(edges);
 }
 
-function updateDensityDisplay() {
-    densityValue.html(densitySlider.value() + '%');
+// A number field's value; empty counts as invalid rather than 0
+function numberField(id) {
+    const value = select(id).value().trim();
+    return value === '' ? NaN : Number(value);
 }
 
-function restartSimulation() {
-    initializeGrid();
+// Build HPGL or G-code from the export panel settings; throws on a bad
+// margin or feed rate
+function buildExport() {
+    const format = select('#exportFormat').value();
+    const layers = [{ label: 'mesh', edges: getMeshEdges() }];
+    const options = {
+        width: canvasSize,
+        height: canvasSize,
+        paper: select('#exportPaper').value(),
+        margin: numberField('#exportMargin'),
+        feedRate: numberField('#exportFeed'),
+        penUp: select('#exportPenUp').value(),
+        penDown: select('#exportPenDown').value()
+    };
+    
+    if (format === 'hpgl') {
+        return { format, text: plotToHPGL(layers, options) };
+    }
+    return { format, text: plotToGCode(layers, options) };
+}
+
+// The export, or null with the problem shown under the panel
+function tryExport() {
+    try {
+        const result = buildExport();
+        exportError.html('');
+        return result;
+    } catch (error) {
+        exportError.html(error.message);
+        return null;
+    }
+}
+
+function previewExport() {
+    const result = tryExport();
+    exportOutput.value(result ? result.text : '');
+}
+
+function downloadExport() {
+    const result = tryExport();
+    if (!result) return;
+    
+    exportOutput.value(result.text);
+    downloadFile(result.text, result.format === 'hpgl' ? 'codefarm-mesh.hpgl' : 'codefarm-mesh.gcode', 'text/plain');
 }
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { solveAssignment, matchPointSets } = require('../js/assignment.js');
+const { createRandom } = require('../js/random.js');
+
+function randomMatrix(random, rows, cols) {
+    return Array.from({ length: rows }, () => Array.from({ length: cols }, () => Math.floor(random() * 100)));
+}
+
+function totalCost(cost, assigned) {
+    return assigned.reduce((sum, j, i) => sum + (j === -1 ? 0 : cost[i][j]), 0);
+}
+
+/**
+ * Cheapest total by trying every way of giving each row its own column
+ * (rows <= cols)
+ */
+function bruteForce(cost) {
+    const cols = cost[0].length;
+    let best = Infinity;
+    const visit = (i, used, sum) => {
+        if (i === cost.length) {
+            best = Math.min(best, sum);
+            return;
+        }
+        for (let j = 0; j < cols; j++) {
+            if (!used.has(j)) {
+                used.add(j);
+                visit(i + 1, used, sum + cost[i][j]);
+                used.delete(j);
+            }
+        }
+    };
+    visit(0, new Set(), 0);
+    return best;
+}
+
+function assertValid(assigned, rows, cols) {
+    const columns = assigned.filter(j => j !== -1);
+    assert.equal(columns.length, Math.min(rows, cols));
+    assert.equal(new Set(columns).size, columns.length, 'a column is used twice');
+}
+
+test('total cost matches brute force on small random matrices', () => {
+    const random = createRandom(7);
+
+    for (let trial = 0; trial < 60; trial++) {
+        const rows = 1 + Math.floor(random() * 5);
+        const cols = rows + Math.floor(random() * 3);
+        const cost = randomMatrix(random, rows, cols);
+        const assigned = solveAssignment(cost);
+
+        assertValid(assigned, rows, cols);
+        assert.equal(totalCost(cost, assigned), bruteForce(cost), JSON.stringify(cost));
+    }
+});
+
+test('more rows than columns: every column gets a row, at the least total cost', () => {
+    const random = createRandom(11);
+
+    for (let trial = 0; trial < 30; trial++) {
+        const cols = 1 + Math.floor(random() * 4);
+        const rows = cols + 1 + Math.floor(random() * 3);
+        const cost = randomMatrix(random, rows, cols);
+        const assigned = solveAssignment(cost);
+        const transposed = Array.from({ length: cols }, (_, j) => cost.map(row => row[j]));
+
+        assert.equal(assigned.length, rows);
+        assertValid(assigned, rows, cols);
+        assert.equal(totalCost(cost, assigned), bruteForce(transposed));
+    }
+});
+
+test('an empty matrix assigns nothing', () => {
+    assert.deepEqual(solveAssignment([]), []);
+});
+
+test('matchPointSets pairs points so paths do not cross', () => {
+    const from = [{ x: 0, y: 0 }, { x: 10, y: 0 }];
+    const to = [{ x: 11, y: 1 }, { x: 1, y: 1 }];
+
+    assert.deepEqual(matchPointSets(from, to), { pairs: [[0, 1], [1, 0]], unmatchedFrom: [], unmatchedTo: [] });
+});
+
+test('matchPointSets leaves points beyond maxDistance unmatched', () => {
+    const from = [{ x: 0, y: 0 }, { x: 100, y: 100 }];
+    const to = [{ x: 1, y: 0 }, { x: 0, y: 50 }, { x: 5, y: 5 }];
+    const { pairs, unmatchedFrom, unmatchedTo } = matchPointSets(from, to, 20);
+
+    assert.deepEqual(pairs, [[0, 0]]);
+    assert.deepEqual(unmatchedFrom, [1]);
+    assert.deepEqual(unmatchedTo, [1, 2]);
+});
+
+test('matchPointSets handles empty sets', () => {
+    assert.deepEqual(matchPointSets([], [{ x: 1, y: 1 }]), { pairs: [], unmatchedFrom: [], unmatchedTo: [0] });
+    assert.deepEqual(matchPointSets([{ x: 1, y: 1 }], []), { pairs: [], unmatchedFrom: [0], unmatchedTo: [] });
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AUDIO_BANDS, bandLevels, OnsetDetector, pieceTone } = require('../js/audio.js');
+
+// 44.1 kHz with an fftSize of 2048: bins about 21.5 Hz wide
+const SAMPLE_RATE = 44100;
+const FFT_SIZE = 2048;
+
+/**
+ * Byte frequency data with `level` in the bins of the given bands
+ */
+function spectrumWith(bands, level = 255) {
+    const binWidth = SAMPLE_RATE / FFT_SIZE;
+    const spectrum = new Uint8Array(FFT_SIZE / 2);
+
+    spectrum.forEach((_, i) => {
+        const frequency = i * binWidth;
+        if (bands.some(band => frequency >= AUDIO_BANDS[band][0] && frequency <= AUDIO_BANDS[band][1])) {
+            spectrum[i] = level;
+        }
+    });
+    return spectrum;
+}
+
+test('silence gives zero in every band', () => {
+    assert.deepEqual(bandLevels(new Uint8Array(FFT_SIZE / 2), SAMPLE_RATE, FFT_SIZE), { bass: 0, mid: 0, treble: 0 });
+});
+
+test('each band only hears its own frequencies', () => {
+    const { bass, mid, treble } = bandLevels(spectrumWith(['bass']), SAMPLE_RATE, FFT_SIZE);
+
+    assert.ok(bass > 0.8, String(bass));
+    assert.ok(mid < 0.05, String(mid));
+    assert.equal(treble, 0);
+
+    const levels = bandLevels(spectrumWith(['treble'], 128), SAMPLE_RATE, FFT_SIZE);
+    assert.ok(Math.abs(levels.treble - 128 / 255) < 0.01, String(levels.treble));
+    assert.equal(levels.bass, 0);
+});
+
+test('levels stay within 0 and 1', () => {
+    const levels = bandLevels(new Uint8Array(FFT_SIZE / 2).fill(255), SAMPLE_RATE, FFT_SIZE);
+
+    Object.values(levels).forEach(level => assert.equal(level, 1));
+});
+
+test('a band above the highest bin reads as silent', () => {
+    // 2 kHz sample rate: bins up to 1 kHz, so no treble at all
+    const levels = bandLevels(new Uint8Array(4).fill(255), 2000, 8);
+
+    assert.equal(levels.bass, 1);
+    assert.equal(levels.mid, 1);
+    assert.equal(levels.treble, 0);
+});
+
+test('an onset is a jump over the running average', () => {
+    const detector = new OnsetDetector();
+    const onsets = [];
+
+    [0.1, 0.1, 0.1, 0.5, 0.5, 0.1, 0.1].forEach((energy, frame) => {
+        if (detector.detect(energy, frame * 100)) onsets.push(frame);
+    });
+    assert.deepEqual(onsets, [3]);
+});
+
+test('the first frame only sets the average', () => {
+    assert.equal(new OnsetDetector().detect(1, 0), false);
+});
+
+test('quiet rises under the floor are not onsets', () => {
+    const detector = new OnsetDetector({ floor: 0.2 });
+
+    detector.detect(0.01, 0);
+    assert.equal(detector.detect(0.15, 300), false);
+    assert.equal(detector.detect(0.6, 600), true);
+});
+
+test('no second onset within the cooldown', () => {
+    const detector = new OnsetDetector({ cooldown: 250 });
+    const beat = time => {
+        detector.average = 0.1;
+        return detector.detect(0.8, time);
+    };
+
+    detector.detect(0.1, 0);
+    assert.equal(beat(1000), true);
+    assert.equal(beat(1100), false);
+    assert.equal(beat(1250), true);
+});
+
+test('reset forgets the average and the last onset', () => {
+    const detector = new OnsetDetector();
+
+    detector.detect(0.1, 0);
+    detector.detect(0.9, 100);
+    detector.reset();
+    assert.equal(detector.detect(0.9, 110), false);
+    assert.equal(detector.average, 0.9);
+    assert.equal(detector.lastOnset, -Infinity);
+});
+
+test('reveal tones rise from left to right over three octaves', () => {
+    const screen = { y: 500, area: 100, width: 1000, height: 1000 };
+    const frequencies = [0, 250, 500, 750, 1000].map(x => pieceTone({ ...screen, x }).frequency);
+
+    frequencies.slice(1).forEach((frequency, i) => assert.ok(frequency > frequencies[i]));
+    assert.equal(pieceTone({ ...screen, x: 0, y: 1000 }).frequency, 220);
+    assert.ok(frequencies[4] < 220 * 8);
+    assert.equal(pieceTone({ ...screen, x: 0, y: 1000 }, 110).frequency, 110);
+});
+
+test('reveal tones stay on the pentatonic scale', () => {
+    const scale = [0, 2, 4, 7, 9];
+
+    for (let x = 0; x <= 1000; x += 37) {
+        const { frequency } = pieceTone({ x, y: 300, area: 100, width: 1000, height: 1000 });
+        const semitones = Math.round(12 * Math.log2(frequency / 220));
+        assert.ok(scale.includes(semitones % 12), `${semitones} semitones`);
+    }
+});
+
+test('bigger pieces sound darker and ring longer', () => {
+    const piece = area => pieceTone({ x: 500, y: 500, area, width: 1000, height: 1000 });
+    const sliver = piece(10);
+    const slab = piece(100000);
+
+    assert.equal(sliver.type, 'triangle');
+    assert.equal(slab.type, 'sawtooth');
+    assert.ok(slab.cutoff < sliver.cutoff);
+    assert.ok(slab.decay > sliver.decay);
+    assert.deepEqual(piece(1000000), slab);
+});
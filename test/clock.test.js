@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { browserClock, ManualClock } = require('../js/clock.js');
+
+test('a ManualClock stands in for the browser clock', () => {
+    const clock = new ManualClock();
+    Object.keys(browserClock).forEach(name => {
+        assert.equal(typeof clock[name], 'function', name);
+    });
+});
+
+test('time only moves when told to', () => {
+    const clock = new ManualClock(100);
+    assert.equal(clock.now(), 100);
+    clock.tick(16);
+    assert.equal(clock.now(), 116);
+});
+
+test('tick fires due timers in order, then one frame', () => {
+    const clock = new ManualClock();
+    const log = [];
+
+    clock.setTimeout(() => log.push('late'), 20);
+    clock.setTimeout(() => log.push('early'), 10);
+    clock.requestFrame(time => {
+        log.push(`frame ${time}`);
+        clock.requestFrame(() => log.push('next frame'));
+    });
+
+    clock.tick(15);
+    assert.deepEqual(log, ['early', 'frame 15']);
+    clock.tick(15);
+    assert.deepEqual(log, ['early', 'frame 15', 'late', 'next frame']);
+});
+
+test('cancelled frames and timers never fire', () => {
+    const clock = new ManualClock();
+    let fired = 0;
+
+    clock.cancelFrame(clock.requestFrame(() => fired++));
+    clock.clearTimeout(clock.setTimeout(() => fired++, 5));
+    clock.advance(100);
+    assert.equal(fired, 0);
+});
+
+test('advance steps frame by frame and lands on the exact time', () => {
+    const clock = new ManualClock();
+    let frames = 0;
+    const loop = () => {
+        frames++;
+        clock.requestFrame(loop);
+    };
+
+    clock.requestFrame(loop);
+    clock.advance(100, 10);
+    assert.equal(frames, 10);
+    assert.equal(clock.now(), 100);
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { offsetTriangle, meshToDXF, meshToFacets, meshToSTL } = require('../js/fabricate.js');
+
+const triangle = [{ x: 0, y: 0 }, { x: 40, y: 0 }, { x: 10, y: 30 }];
+
+// Two triangles sharing a side, in canvas pixels (y down)
+const mesh = [
+    [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 0, y: 100 }],
+    [{ x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }]
+];
+const options = { width: 100, height: 100, size: 50 };
+
+function distanceToLine(p, a, b) {
+    return Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+function assertCloseTo(actual, expected, message, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${message || ''} ${actual} != ${expected}`);
+}
+
+function sub(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function cross(u, v) {
+    return [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+}
+
+function dot(u, v) {
+    return u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+}
+
+test('offsetTriangle moves every side by the distance, keeping it parallel', () => {
+    [0.1, 2, -3].forEach(distance => {
+        const offset = offsetTriangle(triangle, distance);
+
+        for (let i = 0; i < 3; i++) {
+            const [a, b] = [triangle[i], triangle[(i + 1) % 3]];
+            const [p, q] = [offset[i], offset[(i + 1) % 3]];
+
+            assertCloseTo(distanceToLine(p, a, b), Math.abs(distance), `side ${i} by ${distance}`);
+            assertCloseTo(distanceToLine(q, a, b), Math.abs(distance), `side ${i} by ${distance}`);
+        }
+    });
+});
+
+test('offsetTriangle grows outward for positive distances', () => {
+    const area = points => Math.abs((points[1].x - points[0].x) * (points[2].y - points[0].y) -
+        (points[2].x - points[0].x) * (points[1].y - points[0].y)) / 2;
+
+    assert.ok(area(offsetTriangle(triangle, 1)) > area(triangle));
+    assert.ok(area(offsetTriangle(triangle, -1)) < area(triangle));
+});
+
+test('offsetTriangle gives null when an inset collapses the triangle', () => {
+    // Inradius of the 3-4-5 triangle is 1
+    const small = [{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 0, y: 3 }];
+
+    assert.ok(offsetTriangle(small, -0.9));
+    assert.equal(offsetTriangle(small, -1), null);
+    assert.equal(offsetTriangle(small, -2), null);
+    assert.equal(offsetTriangle([{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }], 1), null);
+});
+
+test('meshToDXF writes shared edges once and a kerf outline per triangle', () => {
+    const lines = dxf => dxf.split('\n').filter(line => line === 'LINE').length;
+    const layer = (dxf, name) => dxf.split('\n').filter((line, i, all) => line === name && all[i - 1] === '8').length;
+
+    const plain = meshToDXF(mesh, options);
+    const kerf = meshToDXF(mesh, { ...options, kerf: 0.2 });
+
+    assert.equal(lines(plain), 5);
+    assert.equal(layer(plain, 'EDGES'), 5);
+    assert.equal(layer(plain, 'KERF'), 0);
+    assert.equal(layer(kerf, 'KERF'), 6);
+    assert.ok(plain.endsWith('0\nEOF\n'));
+});
+
+test('meshToFacets builds eight facets per triangle', () => {
+    assert.equal(meshToFacets(mesh, options).length, 16);
+    assert.equal(meshToFacets(mesh, { ...options, mode: 'relief' }).length, 16);
+});
+
+test('meshToFacets skips flat triangles and plates the gap would swallow', () => {
+    const flat = [{ x: 0, y: 0 }, { x: 50, y: 50 }, { x: 100, y: 100 }];
+
+    assert.equal(meshToFacets([...mesh, flat], options).length, 16);
+    assert.equal(meshToFacets(mesh, { ...options, gap: 30 }).length, 0);
+});
+
+test('every facet faces out of its solid', () => {
+    ['plate', 'relief'].forEach(mode => {
+        const facets = meshToFacets(mesh, { ...options, mode, gap: 1 });
+
+        // Eight facets per solid; its centre is inside it, as the solid is convex
+        for (let s = 0; s < facets.length; s += 8) {
+            const solid = facets.slice(s, s + 8);
+            const vertices = solid.flat();
+            const centre = [0, 1, 2].map(k => vertices.reduce((sum, v) => sum + v[k], 0) / vertices.length);
+
+            solid.forEach(([a, b, c], index) => {
+                const normal = cross(sub(b, a), sub(c, a));
+                assert.ok(dot(normal, sub(a, centre)) > 0, `${mode} facet ${index} faces inward`);
+            });
+        }
+    });
+});
+
+test('plates stand the given thickness, relief follows the height map', () => {
+    const heights = facets => new Set(facets.flat().map(v => v[2]));
+
+    assert.deepEqual(heights(meshToFacets(mesh, { ...options, thickness: 3 })), new Set([0, 3]));
+    assert.deepEqual(
+        heights(meshToFacets(mesh, { ...options, mode: 'relief', base: 1, relief: 4, heightAt: x => x / 100 })),
+        new Set([0, 1, 5])
+    );
+});
+
+test('meshToFacets rejects unknown modes', () => {
+    assert.throws(() => meshToFacets(mesh, { ...options, mode: 'dome' }), /^Error: Invalid mode "dome"/);
+    assert.throws(() => meshToSTL([], { ...options, mode: 'dome' }), /^Error: Invalid mode/);
+});
+
+test('binary STL is 84 bytes plus 50 per facet', () => {
+    const buffer = meshToSTL(mesh, { ...options, binary: true, name: 'logo' });
+    const view = new DataView(buffer);
+
+    assert.ok(buffer instanceof ArrayBuffer);
+    assert.equal(buffer.byteLength, 84 + 16 * 50);
+    assert.equal(view.getUint32(80, true), 16);
+    assert.equal(String.fromCharCode(...new Uint8Array(buffer, 0, 4)), 'logo');
+    assert.equal(meshToSTL([], { ...options, binary: true }).byteLength, 84);
+});
+
+test('ASCII STL writes every facet with a unit normal', () => {
+    const stl = meshToSTL(mesh, options);
+    const normals = stl.split('\n')
+        .filter(line => line.startsWith('  facet normal'))
+        .map(line => line.trim().split(' ').slice(2).map(Number));
+
+    assert.ok(stl.startsWith('solid codefarm\n'));
+    assert.ok(stl.endsWith('endsolid codefarm\n'));
+    assert.equal(normals.length, 16);
+    // Written to 4 decimals
+    normals.forEach(n => assertCloseTo(Math.hypot(...n), 1, 'normal length', 1e-4));
+});
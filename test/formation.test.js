@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCells, decodeCells, encodeFormation, decodeFormation } = require('../js/formation.js');
+const { createRandom } = require('../js/random.js');
+
+function randomCells(count, seed) {
+    const random = createRandom(seed);
+    return Uint8Array.from({ length: count }, () => (random() < 0.4 ? 1 : 0));
+}
+
+test('cells survive a round trip for any grid size', () => {
+    [1, 7, 8, 9, 64, 100].forEach(count => {
+        const cells = randomCells(count, count);
+        const text = encodeCells(cells);
+
+        assert.match(text, /^[A-Za-z0-9_-]*$/);
+        assert.deepEqual(decodeCells(text, count), cells);
+    });
+});
+
+test('a formation link survives a round trip', () => {
+    const cells = randomCells(64, 3);
+    const hash = `#${encodeFormation({ cells, seed: 42, rule: 'B36/S23', freeze: true })}`;
+
+    assert.deepEqual(decodeFormation(hash), { cells, seed: '42', rule: 'B36/S23', freeze: true });
+});
+
+test('seed, rule and freeze are optional', () => {
+    const cells = randomCells(64, 4);
+    const fragment = encodeFormation({ cells });
+
+    assert.equal(fragment, `logo=${encodeCells(cells)}`);
+    assert.deepEqual(decodeFormation(fragment), { cells, seed: undefined, rule: undefined, freeze: false });
+});
+
+test('the README example link decodes', () => {
+    const formation = decodeFormation('#logo=gUAgEAAAAAE&seed=42&rule=B36/S23');
+
+    assert.equal(formation.cells.reduce((sum, cell) => sum + cell, 0), 6);
+    assert.equal(formation.seed, '42');
+    assert.equal(formation.rule, 'B36/S23');
+});
+
+test('cells of the wrong length are rejected', () => {
+    const text = encodeCells(randomCells(64, 5));
+
+    assert.equal(decodeCells(text, 100), null);
+    assert.equal(decodeCells(text.slice(0, -2), 64), null);
+    assert.equal(decodeFormation(`#logo=${text}`, 10), null);
+});
+
+test('illegal characters are rejected', () => {
+    ['gUAg+AAAAAE', 'gUAg/AAAAAE', 'gUAgEAAAAAE=', 'gUAg EAAAAA', 'gUAgEAAAAA!'].forEach(text => {
+        assert.equal(decodeCells(text, 64), null, text);
+    });
+});
+
+test('a damaged link gives no formation', () => {
+    assert.equal(decodeFormation(''), null);
+    assert.equal(decodeFormation('#about'), null);
+    assert.equal(decodeFormation('#logo=%%%'), null);
+});
+
+test('an invalid rule is dropped rather than thrown', () => {
+    const cells = randomCells(64, 6);
+    const formation = decodeFormation(`#logo=${encodeCells(cells)}&rule=B9/S23`);
+
+    assert.deepEqual(formation.cells, cells);
+    assert.equal(formation.rule, undefined);
+});
+
+test('freeze=0 keeps the formation evolving', () => {
+    const text = encodeCells(randomCells(64, 7));
+
+    assert.equal(decodeFormation(`#logo=${text}&freeze=0`).freeze, false);
+    assert.equal(decodeFormation(`#logo=${text}&freeze`).freeze, true);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LifeGrid, parseRule, LIFE_RULES } = require('../js/life.js');
+
+/**
+ * A grid with the given [x, y] cells alive
+ */
+function gridWith(size, cells, options) {
+    const life = new LifeGrid(size, options);
+    cells.forEach(([x, y]) => life.set(x, y, 1));
+    return life;
+}
+
+function living(life) {
+    return life.collectLiving().map(cell => [cell.gridX, cell.gridY]);
+}
+
+test('parseRule reads B/S notation into lookup tables', () => {
+    const rule = parseRule('B36/S23');
+    assert.equal(rule.notation, 'B36/S23');
+    assert.deepEqual([...rule.birth], [0, 0, 0, 1, 0, 0, 1, 0, 0]);
+    assert.deepEqual([...rule.survive], [0, 0, 1, 1, 0, 0, 0, 0, 0]);
+});
+
+test('parseRule accepts named rules, any case and stray spaces', () => {
+    assert.equal(parseRule('HighLife').notation, LIFE_RULES.highlife);
+    assert.equal(parseRule(' b3 / s23 ').notation, 'B3/S23');
+    assert.equal(parseRule().notation, LIFE_RULES.conway);
+});
+
+test('parseRule allows an empty birth or survival list', () => {
+    const seeds = parseRule('seeds');
+    assert.equal(seeds.notation, 'B2/S');
+    assert.deepEqual([...seeds.survive], new Array(9).fill(0));
+});
+
+test('parseRule rejects anything else', () => {
+    ['B9/S23', 'B3S23', 'conwayish', ''].forEach(rule => {
+        assert.throws(() => parseRule(rule), /^Error: Invalid rule/);
+    });
+});
+
+test('setEdges rejects unknown edge modes', () => {
+    assert.throws(() => new LifeGrid(4, { edges: 'torus' }), /Invalid edge mode "torus"/);
+});
+
+test('a blinker oscillates with period 2', () => {
+    const life = gridWith(5, [[1, 2], [2, 2], [3, 2]]);
+
+    assert.equal(life.step(), 3);
+    assert.deepEqual(living(life), [[2, 1], [2, 2], [2, 3]]);
+    life.step();
+    assert.deepEqual(living(life), [[1, 2], [2, 2], [3, 2]]);
+    assert.equal(life.generation, 2);
+});
+
+test('wrap: a glider crosses the border and comes back round', () => {
+    const glider = [[1, 0], [2, 1], [0, 2], [1, 2], [2, 2]];
+    const life = gridWith(6, glider, { edges: 'wrap' });
+
+    // One cell diagonally every 4 generations: 24 generations on a 6 x 6 torus
+    for (let i = 0; i < 24; i++) life.step();
+    assert.deepEqual(living(life), gridWith(6, glider).collectLiving().map(c => [c.gridX, c.gridY]));
+});
+
+test('edge modes count neighbours beyond the border differently', () => {
+    const corner = [[0, 0]];
+
+    // Wrap sees the opposite corner, dead sees nothing, mirror sees the cell itself
+    assert.equal(gridWith(4, corner, { edges: 'wrap' }).countNeighbors(3, 3), 1);
+    assert.equal(gridWith(4, corner, { edges: 'dead' }).countNeighbors(3, 3), 0);
+    assert.equal(gridWith(4, corner, { edges: 'mirror' }).countNeighbors(3, 3), 0);
+    assert.equal(gridWith(4, corner, { edges: 'wrap' }).countNeighbors(0, 0), 0);
+    assert.equal(gridWith(4, corner, { edges: 'mirror' }).countNeighbors(0, 0), 3);
+});
+
+test('a lone corner cell survives only when the border mirrors it', () => {
+    ['wrap', 'dead', 'mirror'].forEach(edges => {
+        const life = gridWith(4, [[0, 0]], { edges });
+        life.step();
+        assert.equal(life.get(0, 0), edges === 'mirror' ? 1 : 0, edges);
+    });
+});
+
+test('randomize is reproducible with the same random source', () => {
+    const { createRandom } = require('../js/random.js');
+    const a = new LifeGrid(8);
+    const b = new LifeGrid(8);
+
+    a.randomize(0.4, createRandom(7));
+    b.randomize(0.4, createRandom(7));
+    assert.deepEqual(a.cells, b.cells);
+    assert.equal(a.generation, 0);
+});
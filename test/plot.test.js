@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    uniquePlotEdges,
+    orderPlotPaths,
+    penUpDistance,
+    plotToSVG,
+    layoutOnPaper,
+    plotToHPGL,
+    plotToGCode
+} = require('../js/plot.js');
+
+/**
+ * Edges of a size x size grid of squares, each split by a diagonal, the
+ * shared sides listed twice as a triangulation lists them
+ */
+function meshEdges(size, step = 10) {
+    const edges = [];
+    const point = (i, j) => ({ x: i * step, y: j * step });
+
+    for (let i = 0; i < size; i++) {
+        for (let j = 0; j < size; j++) {
+            const [a, b, c, d] = [point(i, j), point(i + 1, j), point(i + 1, j + 1), point(i, j + 1)];
+            edges.push({ p1: a, p2: b }, { p1: b, p2: c }, { p1: c, p2: a });
+            edges.push({ p1: a, p2: c }, { p1: c, p2: d }, { p1: d, p2: a });
+        }
+    }
+    return edges;
+}
+
+function edgeKey(p, q) {
+    const a = `${p.x},${p.y}`;
+    const b = `${q.x},${q.y}`;
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+test('uniquePlotEdges drops repeats in either direction and zero-length edges', () => {
+    const a = { x: 0, y: 0 };
+    const b = { x: 10, y: 0 };
+    const edges = [
+        { p1: a, p2: b },
+        { p1: b, p2: a },
+        { p1: a, p2: { x: 10.001, y: 0 } },
+        { p1: a, p2: { x: 0.001, y: 0 } },
+        { p1: b, p2: { x: 10, y: 10 } }
+    ];
+
+    assert.deepEqual(uniquePlotEdges(edges), [edges[0], edges[4]]);
+    assert.equal(uniquePlotEdges(edges, 3).length, 4);
+});
+
+test('orderPlotPaths draws every edge exactly once', () => {
+    const edges = meshEdges(4);
+    const drawn = [];
+
+    orderPlotPaths(edges).forEach(path => {
+        for (let i = 1; i < path.length; i++) drawn.push(edgeKey(path[i - 1], path[i]));
+    });
+
+    const expected = new Set(edges.map(({ p1, p2 }) => edgeKey(p1, p2)));
+    assert.equal(drawn.length, expected.size);
+    assert.deepEqual(new Set(drawn), expected);
+});
+
+test('orderPlotPaths keeps the pen down along a chain', () => {
+    const square = [
+        { p1: { x: 0, y: 0 }, p2: { x: 10, y: 0 } },
+        { p1: { x: 10, y: 10 }, p2: { x: 0, y: 10 } },
+        { p1: { x: 10, y: 0 }, p2: { x: 10, y: 10 } },
+        { p1: { x: 0, y: 10 }, p2: { x: 0, y: 0 } }
+    ];
+    const paths = orderPlotPaths(square);
+
+    assert.equal(paths.length, 1);
+    assert.equal(paths[0].length, 5);
+    assert.equal(penUpDistance(paths), 0);
+    assert.deepEqual(orderPlotPaths([]), []);
+});
+
+test('orderPlotPaths travels less than the edges in their given order', () => {
+    const edges = meshEdges(6);
+    const unordered = uniquePlotEdges(edges).map(({ p1, p2 }) => [p1, p2]);
+
+    assert.ok(penUpDistance(orderPlotPaths(edges)) < penUpDistance(unordered));
+});
+
+test('plotToSVG escapes attribute values', () => {
+    const svg = plotToSVG([{ label: 'a "b" <c> & d', color: '"red', edges: meshEdges(1) }], {
+        width: 10,
+        height: 10,
+        background: '#000" onload="x'
+    });
+
+    assert.match(svg, /inkscape:label="a &quot;b&quot; &lt;c&gt; &amp; d"/);
+    assert.match(svg, /stroke="&quot;red"/);
+    assert.match(svg, /fill="#000&quot; onload=&quot;x"/);
+    assert.doesNotMatch(svg, /onload="/);
+});
+
+test('layoutOnPaper centres the drawing inside the margins with y up', () => {
+    const [layer] = layoutOnPaper([{ edges: [{ p1: { x: 0, y: 0 }, p2: { x: 100, y: 100 } }] }], {
+        width: 100,
+        height: 100,
+        paper: 'A4',
+        margin: 10
+    });
+    const points = layer.paths.flat();
+    const top = points.find(p => p.y > 200);
+    const bottom = points.find(p => p.y < 100);
+
+    assert.equal(layer.label, 'layer 1');
+    assert.deepEqual(top, { x: 10, y: 148.5 + 95 });
+    assert.deepEqual(bottom, { x: 200, y: 148.5 - 95 });
+});
+
+test('layoutOnPaper rejects margins that leave no room to draw', () => {
+    const layers = [{ edges: meshEdges(1) }];
+
+    [-1, NaN, Infinity, 105, 200].forEach(margin => {
+        assert.throws(() => layoutOnPaper(layers, { width: 10, height: 10, paper: 'A4', margin }), /^Error: Invalid margin/, String(margin));
+    });
+    assert.throws(() => layoutOnPaper(layers, { width: 10, height: 10, paper: 'A5', margin: 74 }), /less than 74 mm/);
+    assert.doesNotThrow(() => layoutOnPaper(layers, { width: 10, height: 10, paper: 'A4', margin: 0 }));
+});
+
+test('plotToHPGL uses one pen per layer in plotter units', () => {
+    const edge = { p1: { x: 0, y: 0 }, p2: { x: 100, y: 0 } };
+    const hpgl = plotToHPGL([{ edges: [edge] }, { edges: [] }, { edges: [edge] }], {
+        width: 100,
+        height: 100,
+        paper: { width: 120, height: 120 },
+        margin: 10
+    }).trim().split('\n');
+
+    assert.deepEqual(hpgl, [
+        'IN;',
+        'SP1;',
+        'PU400,4400;',
+        'PD4400,4400;',
+        'SP3;',
+        'PU4400,4400;',
+        'PD400,4400;',
+        'PU0,0;',
+        'SP0;'
+    ]);
+});
+
+test('plotToGCode draws each edge once between pen moves', () => {
+    const edges = meshEdges(3);
+    const gcode = plotToGCode([{ label: 'mesh', edges }], {
+        width: 30,
+        height: 30,
+        feedRate: 1200,
+        travelRate: 2400,
+        penUp: 'M3 S0',
+        penDown: 'M3 S90'
+    }).trim().split('\n');
+    const draws = gcode.filter(line => line.startsWith('G1 '));
+    const travels = gcode.filter(line => line.startsWith('G0 '));
+
+    assert.deepEqual(gcode.slice(0, 5), ['; CODEFARM generative mesh', 'G21 ; millimetres', 'G90 ; absolute positioning', 'M3 S0', '; layer: mesh']);
+    assert.deepEqual(gcode.slice(-2), ['G0 X0 Y0 F2400', 'M2']);
+    assert.equal(draws.length, uniquePlotEdges(edges).length);
+    assert.ok(draws.every(line => /^G1 X\d+\.\d{3} Y\d+\.\d{3} F1200$/.test(line)));
+    assert.equal(gcode.filter(line => line === 'M3 S90').length, travels.length - 1);
+});
+
+test('plotToGCode pauses between layers when asked', () => {
+    const layers = [{ edges: meshEdges(1) }, { edges: meshEdges(1, 5) }];
+    const options = { width: 10, height: 10 };
+
+    assert.equal(plotToGCode(layers, { ...options, pauseBetweenLayers: true }).split('M0 ; change pen').length, 2);
+    assert.doesNotMatch(plotToGCode(layers, options), /M0/);
+});
+
+test('plotToGCode rejects feed and travel rates the machine cannot run', () => {
+    const layers = [{ edges: meshEdges(1) }];
+
+    [0, -100, NaN, Infinity].forEach(feedRate => {
+        assert.throws(() => plotToGCode(layers, { width: 10, height: 10, feedRate }), /^Error: Invalid feed rate/, String(feedRate));
+    });
+    assert.throws(() => plotToGCode(layers, { width: 10, height: 10, travelRate: 0 }), /^Error: Invalid travel rate/);
+});
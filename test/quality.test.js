@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QUALITY_TIERS, QualityManager } = require('../js/quality.js');
+const { ManualClock } = require('../js/clock.js');
+
+// Frame times either side of the defaults (slow above 25 ms, fast below ~18 ms)
+const SLOW = 30;
+const FAST = 10;
+const STEADY = 20;
+
+/**
+ * A manager drawing one frame per clock frame, as the engines do
+ */
+function setup(options = {}) {
+    const clock = new ManualClock();
+    const changes = [];
+    const quality = new QualityManager({ ...options, onChange: tier => changes.push(tier) });
+    const draw = time => {
+        quality.frame(time);
+        clock.requestFrame(draw);
+    };
+
+    clock.requestFrame(draw);
+    clock.tick(0);
+
+    // Whole sample windows of frames `frameTime` ms apart
+    const run = (frameTime, windows = 1) => clock.advance(frameTime * quality.sampleSize * windows, frameTime);
+    return { clock, quality, changes, run };
+}
+
+test('tiers run from the original look down to plain lines', () => {
+    assert.deepEqual(QUALITY_TIERS, ['full', 'sprite', 'plain']);
+    assert.equal(new QualityManager().tier, 'full');
+});
+
+test('slow windows step down one tier at a time, stopping at plain', () => {
+    const { quality, changes, run } = setup();
+
+    run(SLOW);
+    assert.equal(quality.tier, 'sprite');
+    run(SLOW);
+    assert.equal(quality.tier, 'plain');
+    run(SLOW, 3);
+    assert.equal(quality.tier, 'plain');
+    assert.deepEqual(changes, ['sprite', 'plain']);
+});
+
+test('nothing changes until a whole window is in', () => {
+    const { quality, clock } = setup();
+
+    clock.advance(SLOW * (quality.sampleSize - 1), SLOW);
+    assert.equal(quality.tier, 'full');
+    clock.advance(SLOW, SLOW);
+    assert.equal(quality.tier, 'sprite');
+});
+
+test('stepping up takes several fast windows in a row', () => {
+    const { quality, changes, run } = setup();
+
+    run(SLOW);
+    run(FAST, quality.upgradeAfter - 1);
+    assert.equal(quality.tier, 'sprite');
+
+    // A steady window in between starts the count again
+    run(STEADY);
+    run(FAST, quality.upgradeAfter - 1);
+    assert.equal(quality.tier, 'sprite');
+    run(FAST);
+    assert.equal(quality.tier, 'full');
+    assert.deepEqual(changes, ['sprite', 'full']);
+});
+
+test('an upgrade that turns out too slow is not retried', () => {
+    const { quality, changes, run } = setup();
+
+    run(SLOW, 2);
+    run(FAST, quality.upgradeAfter);
+    assert.equal(quality.tier, 'sprite');
+
+    // Too slow straight after the upgrade: plain is as high as it goes now
+    run(SLOW);
+    assert.equal(quality.tier, 'plain');
+    run(FAST, quality.upgradeAfter * 3);
+    assert.equal(quality.tier, 'plain');
+    assert.deepEqual(changes, ['sprite', 'plain', 'sprite', 'plain']);
+});
+
+test('a slow window later on does not lower the ceiling', () => {
+    const { quality, run } = setup();
+
+    run(SLOW);
+    run(FAST, quality.upgradeAfter);
+    run(STEADY);
+    run(SLOW);
+    assert.equal(quality.tier, 'sprite');
+    run(FAST, quality.upgradeAfter);
+    assert.equal(quality.tier, 'full');
+});
+
+test('gaps such as a paused or hidden page are not counted', () => {
+    const { quality, clock, run } = setup();
+
+    for (let k = 0; k < quality.sampleSize * 2; k++) {
+        clock.advance(1000, 1000);
+    }
+    assert.equal(quality.tier, 'full');
+    assert.equal(quality.samples.length, 0);
+    run(SLOW);
+    assert.equal(quality.tier, 'sprite');
+});
+
+test('custom thresholds', () => {
+    const { quality, run } = setup({ slowFrame: 40, fastFrame: 35 });
+
+    run(SLOW, 5);
+    assert.equal(quality.tier, 'full');
+    run(50);
+    assert.equal(quality.tier, 'sprite');
+});
+
+test('a forced tier ignores frame times until released', () => {
+    const { quality, clock, changes, run } = setup({ tier: 'plain' });
+
+    assert.equal(quality.tier, 'plain');
+    run(FAST, quality.upgradeAfter * 2);
+    assert.equal(quality.tier, 'plain');
+
+    quality.force(null);
+    assert.equal(quality.tier, 'full');
+
+    // The first frame after release only starts the timing again
+    clock.advance(SLOW, SLOW);
+    run(SLOW);
+    assert.equal(quality.tier, 'sprite');
+    assert.deepEqual(changes, ['plain', 'full', 'sprite']);
+});
+
+test('force rejects unknown tiers', () => {
+    assert.throws(() => new QualityManager({ tier: 'ultra' }), /^Error: Invalid quality tier "ultra"/);
+    assert.throws(() => new QualityManager().force('ultra'), /Invalid quality tier/);
+});
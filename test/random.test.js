@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRandom, hashSeed, seedFromLocation } = require('../js/random.js');
+
+function take(random, count) {
+    return Array.from({ length: count }, () => random());
+}
+
+test('the same seed gives the same sequence', () => {
+    assert.deepEqual(take(createRandom(42), 100), take(createRandom(42), 100));
+    assert.deepEqual(take(createRandom('codefarm'), 100), take(createRandom('codefarm'), 100));
+});
+
+test('the sequence for a seed never changes, so shared links keep working', () => {
+    assert.deepEqual(take(createRandom(42), 3), [0.6011037519201636, 0.44829055899754167, 0.8524657934904099]);
+});
+
+test('an integer string seed equals the number', () => {
+    assert.equal(hashSeed('42'), 42);
+    assert.deepEqual(take(createRandom('42'), 10), take(createRandom(42), 10));
+});
+
+test('different seeds give different sequences', () => {
+    assert.notDeepEqual(take(createRandom(1), 10), take(createRandom(2), 10));
+    assert.notEqual(hashSeed('codefarm'), hashSeed('codefarn'));
+});
+
+test('values lie in [0, 1)', () => {
+    take(createRandom(3), 10000).forEach(value => {
+        assert.ok(value >= 0 && value < 1, String(value));
+    });
+});
+
+test('without a seed one is picked and exposed', () => {
+    const random = createRandom();
+    assert.equal(typeof random.seed, 'number');
+    assert.deepEqual(take(random, 5), take(createRandom(random.seed), 5));
+});
+
+test('seedFromLocation reads ?seed=', () => {
+    assert.equal(seedFromLocation('?seed=abc&x=1'), 'abc');
+    assert.equal(seedFromLocation('?seed='), null);
+    assert.equal(seedFromLocation(''), null);
+});
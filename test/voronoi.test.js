@@ -0,0 +1,147 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { circumcenter, clipSegment, voronoiCells, voronoiEdges } = require('../js/voronoi.js');
+const { createRandom } = require('../js/random.js');
+
+// voronoi.js looks Delaunator up as a global, as on the page
+before(async () => {
+    globalThis.Delaunator = (await import('delaunator')).default;
+});
+
+const box = { width: 100, height: 60 };
+
+function area(polygon) {
+    let sum = 0;
+    polygon.forEach((p, i) => {
+        const q = polygon[(i + 1) % polygon.length];
+        sum += p.x * q.y - q.x * p.y;
+    });
+    return Math.abs(sum) / 2;
+}
+
+function contains(polygon, point) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function randomPoints(count, seed) {
+    const random = createRandom(seed);
+    return Array.from({ length: count }, () => ({ x: random() * box.width, y: random() * box.height }));
+}
+
+function assertCloseTo(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message || ''} ${actual} != ${expected}`);
+}
+
+test('circumcenter, or the centroid of a flat triangle', () => {
+    const [a, b, c] = [{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 0, y: 3 }];
+
+    assert.deepEqual(circumcenter(a, b, c), { x: 2, y: 1.5 });
+    assert.deepEqual(circumcenter(a, { x: 1, y: 1 }, { x: 2, y: 2 }), { x: 1, y: 1 });
+});
+
+test('cells tile the bounds, each around its own site', () => {
+    [3, 10, 50].forEach(count => {
+        const points = randomPoints(count, count);
+        const cells = voronoiCells(points, box);
+        const total = cells.reduce((sum, cell) => sum + area(cell.polygon), 0);
+
+        assert.equal(cells.length, count);
+        assertCloseTo(total, box.width * box.height, `${count} points`);
+        cells.forEach(({ site, index, polygon }) => {
+            assert.equal(site, points[index]);
+            assert.ok(contains(polygon, site), `site ${index} outside its cell`);
+            polygon.forEach(p => {
+                assert.ok(p.x >= -1e-9 && p.x <= box.width + 1e-9 && p.y >= -1e-9 && p.y <= box.height + 1e-9);
+            });
+        });
+    });
+});
+
+test('every spot lies in the cell of its nearest site', () => {
+    const points = randomPoints(20, 5);
+    const cells = voronoiCells(points, box);
+    const random = createRandom(6);
+
+    for (let k = 0; k < 200; k++) {
+        const spot = { x: random() * box.width, y: random() * box.height };
+        const distances = points.map(p => Math.hypot(p.x - spot.x, p.y - spot.y));
+        const nearest = distances.indexOf(Math.min(...distances));
+        assert.ok(contains(cells[nearest].polygon, spot));
+    }
+});
+
+test('two points split the bounds down their bisector', () => {
+    const points = [{ x: 20, y: 30 }, { x: 60, y: 30 }];
+    const [left, right] = voronoiCells(points, box);
+    const edges = voronoiEdges(points, box);
+
+    assertCloseTo(area(left.polygon), 40 * 60);
+    assertCloseTo(area(right.polygon), 60 * 60);
+    assert.equal(edges.length, 1);
+    assert.deepEqual([edges[0].p1.x, edges[0].p2.x], [40, 40]);
+    assertCloseTo(Math.abs(edges[0].p1.y - edges[0].p2.y), 60);
+});
+
+test('collinear points give parallel strips', () => {
+    const points = [{ x: 10, y: 10 }, { x: 30, y: 10 }, { x: 70, y: 10 }];
+    const cells = voronoiCells(points, box);
+    const edges = voronoiEdges(points, box);
+
+    assert.deepEqual(cells.map(cell => area(cell.polygon)), [20 * 60, 30 * 60, 50 * 60]);
+    assert.deepEqual(edges.map(edge => edge.p1.x).sort((a, b) => a - b), [20, 50]);
+    edges.forEach((edge, index) => assert.equal(edge.index, index));
+});
+
+test('duplicate points do not break the cells', () => {
+    const points = [{ x: 10, y: 10 }, { x: 80, y: 20 }, { x: 40, y: 50 }, { x: 10, y: 10 }];
+    const cells = voronoiCells(points, box);
+
+    assert.equal(cells.length, 4);
+    assert.deepEqual(cells[3].polygon, []);
+    assertCloseTo(cells.reduce((sum, cell) => sum + area(cell.polygon), 0), box.width * box.height);
+});
+
+test('edges are clipped to the bounds and listed once', () => {
+    const points = randomPoints(30, 8);
+    const edges = voronoiEdges(points, box);
+    const keys = edges.map(({ p1, p2 }) => [p1, p2].map(p => `${p.x.toFixed(6)},${p.y.toFixed(6)}`).sort().join('|'));
+
+    assert.equal(new Set(keys).size, edges.length);
+    edges.forEach(({ p1, p2 }) => [p1, p2].forEach(p => {
+        assert.ok(p.x >= -1e-9 && p.x <= box.width + 1e-9 && p.y >= -1e-9 && p.y <= box.height + 1e-9);
+    }));
+});
+
+test('clipSegment keeps a segment inside the box as it is', () => {
+    assert.deepEqual(clipSegment({ x: 10, y: 10 }, { x: 20, y: 30 }, box), {
+        p1: { x: 10, y: 10 },
+        p2: { x: 20, y: 30 }
+    });
+});
+
+test('clipSegment drops segments entirely outside the box', () => {
+    assert.equal(clipSegment({ x: -20, y: 10 }, { x: -5, y: 50 }, box), null);
+    assert.equal(clipSegment({ x: 10, y: 70 }, { x: 90, y: 80 }, box), null);
+    // Outside, though its line crosses the box
+    assert.equal(clipSegment({ x: -30, y: 10 }, { x: -10, y: 20 }, box), null);
+});
+
+test('clipSegment cuts segments crossing the box at its sides', () => {
+    assert.deepEqual(clipSegment({ x: -50, y: 30 }, { x: 150, y: 30 }, box), {
+        p1: { x: 0, y: 30 },
+        p2: { x: 100, y: 30 }
+    });
+    assert.deepEqual(clipSegment({ x: 50, y: 30 }, { x: 50, y: 100 }, { x0: 10, y0: 10, x1: 90, y1: 50 }), {
+        p1: { x: 50, y: 30 },
+        p2: { x: 50, y: 50 }
+    });
+});
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * CODEFARM Logo Generator
+ * Writes a batch of hero logo variants to disk, without a browser, using the
+ * same simulation and triangulation as the hero (js/triangulate.js)
+ *
+ *   node tools/codefarm-logo.js --seed 42 --rule B3/S23 --grid 8 --count 50 --format svg
+ *
+ * Variant k uses seed + k, so any candidate can be replayed on the site with
+ * ?seed=. Needs the delaunator package (npm install in the repository root).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseRule, LIFE_EDGE_MODES } = require('../js/life.js');
+
+const FORMATS = ['svg', 'json'];
+
+const USAGE = `Usage: node tools/codefarm-logo.js [options]
+
+  --seed <n>       first seed; variant k uses seed + k (default: random)
+  --rule <B/S>     life-like rule, e.g. B36/S23 or highlife (default: B3/S23)
+  --edges <mode>   grid edges: wrap, dead or mirror (default: wrap)
+  --grid <n>       cells per side (default: 8, as on the site)
+  --size <px>      width and height of the drawing (default: 300)
+  --count <n>      number of variants (default: 1)
+  --format <list>  svg, json or svg,json (default: svg,json)
+  --out <dir>      output directory (default: codefarm-logos)
+  --help           show this message`;
+
+/**
+ * --name value and --name=value pairs into an object; flags without a value are true
+ */
+function parseArgs(argv) {
+    const args = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([a-z]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) {
+            throw new Error(`Unexpected argument "${argv[i]}"`);
+        }
+
+        const [, name, inline] = match;
+        if (inline !== undefined) {
+            args[name] = inline;
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            args[name] = argv[++i];
+        } else {
+            args[name] = true;
+        }
+    }
+
+    return args;
+}
+
+function wholeNumber(name, value, min) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        throw new Error(`Invalid ${name} "${value}" - expected a whole number of ${min} or more`);
+    }
+    return number;
+}
+
+/**
+ * Options for the batch, validated, from parsed arguments
+ */
+function readOptions(args) {
+    const known = ['seed', 'rule', 'edges', 'grid', 'size', 'count', 'format', 'out', 'help'];
+    Object.keys(args).forEach(name => {
+        if (!known.includes(name)) {
+            throw new Error(`Unknown option "--${name}" - expected one of ${known.map(k => `--${k}`).join(', ')}`);
+        }
+    });
+
+    const formats = String(args.format || FORMATS.join(',')).split(',');
+    formats.forEach(format => {
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Invalid format "${format}" - expected one of ${FORMATS.join(', ')}`);
+        }
+    });
+
+    const edges = args.edges === undefined ? 'wrap' : String(args.edges);
+    if (!LIFE_EDGE_MODES.includes(edges)) {
+        throw new Error(`Invalid edges "${edges}" - expected one of ${LIFE_EDGE_MODES.join(', ')}`);
+    }
+
+    return {
+        seed: args.seed === undefined ? Math.floor(Math.random() * 0x100000000) : wholeNumber('seed', args.seed, 0),
+        // B/S notation even for named rules, as #logo= links only read that
+        rule: parseRule(args.rule === undefined ? 'B3/S23' : String(args.rule)).notation,
+        edges,
+        gridSize: args.grid === undefined ? 8 : wholeNumber('grid', args.grid, 2),
+        size: args.size === undefined ? 300 : wholeNumber('size', args.size, 1),
+        count: args.count === undefined ? 1 : wholeNumber('count', args.count, 1),
+        formats,
+        out: args.out || 'codefarm-logos'
+    };
+}
+
+/**
+ * Points and edges of a formation, plus a #logo= link when the grid
+ * matches the site's
+ */
+function formationToJSON(formation) {
+    const round = value => Math.round(value * 100) / 100;
+    const data = {
+        seed: formation.seed,
+        rule: formation.rule,
+        grid: formation.gridSize,
+        size: formation.size,
+        points: formation.points.map(p => [round(p.x), round(p.y)]),
+        edges: formation.edges
+    };
+
+    if (formation.gridSize === LOGO_FORMATION.gridSize) {
+        data.link = `#${encodeFormation({ cells: formation.cells, seed: formation.seed, rule: formation.rule })}`;
+    }
+
+    // One line per field keeps long point and edge lists readable
+    const fields = Object.entries(data).map(([key, value]) => `  ${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+    return `{\n${fields.join(',\n')}\n}\n`;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+    const options = readOptions(args);
+
+    // js/triangulate.js looks its helpers up as globals, as on the page
+    try {
+        globalThis.Delaunator = (await import('delaunator')).default;
+    } catch (e) {
+        throw new Error('The delaunator package is missing - run npm install');
+    }
+    Object.assign(globalThis,
+        require('../js/life.js'),
+        require('../js/random.js'),
+        require('../js/plot.js'),
+        require('../js/formation.js'),
+        require('../js/triangulate.js'));
+
+    fs.mkdirSync(options.out, { recursive: true });
+
+    for (let k = 0; k < options.count; k++) {
+        const formation = generateFormation({
+            seed: (options.seed + k) >>> 0,
+            rule: options.rule,
+            edges: options.edges,
+            gridSize: options.gridSize,
+            size: options.size
+        });
+        const name = path.join(options.out, `codefarm-logo-${formation.seed}`);
+
+        if (options.formats.includes('svg')) {
+            const edges = formation.edges.map(([a, b]) => ({ p1: formation.points[a], p2: formation.points[b] }));
+            fs.writeFileSync(`${name}.svg`, logoToSVG(edges, formation.size));
+        }
+        if (options.formats.includes('json')) {
+            fs.writeFileSync(`${name}.json`, formationToJSON(formation));
+        }
+    }
+
+    console.log(`Wrote ${options.count} logo variant${options.count === 1 ? '' : 's'} to ${options.out}`);
+}
+
+main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    console.error('Run with --help for usage');
+    process.exitCode = 1;
+});